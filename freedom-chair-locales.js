@@ -0,0 +1,279 @@
+/**
+ * Freedom Chair locale bundles, keyed by locale code
+ * Applications, parts and options are keyed by their mapping ids (option labels stay the ids);
+ * anything missing here falls back to English.
+ */
+(function (root) {
+  'use strict';
+
+  const freedomChairLocales = {
+    "de": {
+      "messages": {
+        "ui.loading": "Konfiguration wird geladen...",
+        "ui.infoTitle": "Konfiguration:",
+        "ui.infoText": "Wählen Sie unten die Optionen für Ihren Stuhl. Änderungen werden rechts im 3D-Modell angezeigt.",
+        "ui.product": "Produkt",
+        "action.quote": "Angebot anfordern / In den Warenkorb",
+        "action.snapshot": "Bild herunterladen",
+        "action.spec": "Datenblatt drucken",
+        "action.bomCsv": "Stückliste (CSV)",
+        "action.bomJson": "Stückliste (JSON)",
+        "action.reset": "Auf Standard zurücksetzen",
+        "action.undo": "Rückgängig",
+        "action.redo": "Wiederholen",
+        "status.initializing": "3D-Konfigurator wird gestartet...",
+        "status.initFailed": "Der 3D-Konfigurator konnte nicht gestartet werden. Bitte laden Sie die Seite neu und prüfen Sie die Browserkonsole.",
+        "status.reconnected": "Die 3D-Ansicht ist wieder verbunden.",
+        "option.placeholder": "Option wählen...",
+        "option.applying": "wird angewendet…",
+        "option.unavailable": "Nicht verfügbar – {notes}",
+        "parts.link": "Teile verknüpfen",
+        "selection.notAvailable": "„{option}“ ist nicht verfügbar: {reason}",
+        "selection.changed": "Geändert zu „{option}“: {reason}",
+        "defaults.failed": "Die Standardoptionen konnten nicht angewendet werden. {error}",
+        "reset.failed": "Die Konfiguration konnte nicht zurückgesetzt werden. {error}",
+        "undo.failed": "Die letzte Änderung konnte nicht rückgängig gemacht werden. {error}",
+        "redo.failed": "Die Änderung konnte nicht wiederholt werden. {error}",
+        "product.switchFailed": "Der Wechsel zu „{product}“ ist fehlgeschlagen. {error}",
+        "price.base": "Grundpreis",
+        "price.total": "Gesamt",
+        "quote.missing": "Bitte wählen Sie: {applications}",
+        "quote.downloaded": "Konfiguration heruntergeladen.",
+        "quote.sent": "Angebotsanfrage gesendet.",
+        "snapshot.failed": "Das Bild konnte nicht erstellt werden. {error}",
+        "spec.title": "Datenblatt",
+        "spec.materials": "Materialien",
+        "spec.variants": "Varianten",
+        "spec.group": "Optionsgruppe",
+        "spec.part": "Teil",
+        "spec.option": "Option",
+        "spec.material": "Material",
+        "spec.color": "Farbe",
+        "spec.type": "Typ",
+        "spec.variant": "Variante",
+        "spec.value": "Wert",
+        "spec.missing": "Nicht gewählt: {applications}",
+        "spec.link": "Link zur Konfiguration",
+        "spec.downloaded": "Datenblatt heruntergeladen (Pop-ups erlauben, um es direkt zu drucken).",
+        "spec.failed": "Das Datenblatt konnte nicht erstellt werden. {error}",
+        "progress.loading": "{material} wird geladen…",
+        "progress.loadingPercent": "{material} wird geladen… {percent} %",
+        "progress.importing": "{material} wird in die Szene eingefügt…",
+        "saved.title": "Gespeicherte Konfigurationen",
+        "saved.nameLabel": "Name der Konfiguration",
+        "saved.namePlaceholder": "Konfiguration benennen",
+        "saved.nameRequired": "Bitte geben Sie einen Namen für die Konfiguration ein.",
+        "saved.save": "Speichern",
+        "saved.load": "Laden",
+        "saved.delete": "Löschen",
+        "saved.compare": "Auswahl vergleichen",
+        "saved.compareCount": "Wählen Sie zwei oder drei Konfigurationen zum Vergleich.",
+        "saved.export": "Exportieren",
+        "saved.import": "Importieren",
+        "saved.empty": "Noch keine gespeicherten Konfigurationen.",
+        "saved.saved": "„{name}“ gespeichert.",
+        "saved.imported": "{count} Konfiguration(en) importiert.",
+        "saved.notFound": "Diese gespeicherte Konfiguration existiert nicht mehr.",
+        "saved.invalidFile": "Diese Datei enthält keine gespeicherten Konfigurationen.",
+        "error.retry": "Erneut versuchen",
+        "error.unknown": "Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.",
+        "error.csvLoad": "Der Produktkatalog konnte nicht geladen werden. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut.",
+        "error.fileFetch": "Das Material für „{option}“ konnte nicht heruntergeladen werden. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut.",
+        "error.import": "Das Material für „{option}“ konnte nicht in die 3D-Ansicht geladen werden. Bitte versuchen Sie es erneut.",
+        "error.materialMatch": "„{option}“ kann derzeit nicht in der 3D-Ansicht gezeigt werden. Bitte wählen Sie eine andere Option oder kontaktieren Sie uns.",
+        "error.apply": "„{option}“ konnte nicht in der 3D-Ansicht übernommen werden. Bitte versuchen Sie es erneut.",
+        "error.variantNotFound": "„{option}“ ist für dieses Produkt nicht erhältlich. Bitte wählen Sie eine andere Option.",
+        "error.apiConnect": "Die 3D-Ansicht ist gerade nicht verfügbar. Sie können weiter Optionen wählen; die Ansicht wird aktualisiert, sobald sie verbunden ist."
+      },
+      "applications": {
+        "fabric_seat": "Stoffoptionen",
+        "black metal": "Metalloberfläche",
+        "fabric_armrest": "Armlehne",
+        "lift": "Sitzhöhe",
+        "base": "Fußkreuz"
+      },
+      "parts": {
+        "fabric_seat": {
+          "fabric_seat": "Sitz",
+          "fabric_backrest": "Rückenlehne",
+          "fabric_headrest": "Kopfstütze",
+          "fabric_armrest": "Armlehnen"
+        }
+      },
+      "options": {
+        "black metal": {
+          "Black Metal": "Schwarzes Metall",
+          "Graphite Metal": "Graphit",
+          "Chrome Glossy": "Chrom glänzend"
+        },
+        "fabric_armrest": {
+          "With Armrest": "Mit Armlehne",
+          "Without Armrest": "Ohne Armlehne"
+        },
+        "lift": {
+          "Standard": "Standard",
+          "Tall": "Hoch",
+          "High": "Extra hoch"
+        },
+        "base": {
+          "Wheels (Hard Floors)": "Rollen (harte Böden)",
+          "Glides (Soft/Carpet Floors)": "Gleiter (weiche Böden/Teppich)",
+          "Locking Castors": "Feststellbare Rollen"
+        },
+        "fabric_seat": {
+          "Corde4 (Humanscale) - Black": "Corde4 (Humanscale) - Schwarz",
+          "Corde4 (Humanscale) - Brown": "Corde4 (Humanscale) - Braun",
+          "Corde4 (Humanscale) - Medium Gray": "Corde4 (Humanscale) - Mittelgrau",
+          "Corde4 (Humanscale) - Navy": "Corde4 (Humanscale) - Marineblau",
+          "Corde4 (Humanscale) - Azure": "Corde4 (Humanscale) - Azurblau",
+          "Corde4 (Humanscale) - Deep Violet": "Corde4 (Humanscale) - Dunkelviolett",
+          "Corde4 (Humanscale) - Parma Red": "Corde4 (Humanscale) - Parmarot",
+          "Corde4 (Humanscale) - Pumpkin": "Corde4 (Humanscale) - Kürbis"
+        }
+      },
+      "rules": {
+        "castors-require-armrest": "Feststellbare Rollen gibt es nur mit Armlehnen.",
+        "glides-exclude-high-lift": "Die extra hohe Sitzhöhe ist auf Gleitern nicht stabil.",
+        "high-lift-default-wheels": "Die extra hohe Sitzhöhe wird mit Rollen geliefert, sofern kein anderes Fußkreuz gewählt ist.",
+        "no-fabric-on-metal-armrest": "Metallarmlehnen können nicht mit Stoff bezogen werden."
+      }
+    },
+    "fr": {
+      "messages": {
+        "ui.loading": "Chargement de la configuration...",
+        "ui.infoTitle": "Configuration :",
+        "ui.infoText": "Choisissez les options ci-dessous pour personnaliser votre fauteuil. Les modifications s'affichent dans le modèle 3D à droite.",
+        "ui.product": "Produit",
+        "action.quote": "Demander un devis / Ajouter au panier",
+        "action.snapshot": "Télécharger l'image",
+        "action.spec": "Imprimer la fiche technique",
+        "action.bomCsv": "Nomenclature (CSV)",
+        "action.bomJson": "Nomenclature (JSON)",
+        "action.reset": "Rétablir les valeurs par défaut",
+        "action.undo": "Annuler",
+        "action.redo": "Rétablir",
+        "status.initializing": "Initialisation du configurateur 3D...",
+        "status.initFailed": "Impossible d'initialiser le configurateur 3D. Veuillez recharger la page et consulter la console du navigateur.",
+        "status.reconnected": "La vue 3D est de nouveau connectée.",
+        "option.placeholder": "Choisissez une option...",
+        "option.applying": "application…",
+        "option.unavailable": "Indisponible – {notes}",
+        "parts.link": "Lier les parties",
+        "selection.notAvailable": "« {option} » n'est pas disponible : {reason}",
+        "selection.changed": "Remplacé par « {option} » : {reason}",
+        "defaults.failed": "Impossible d'appliquer les options par défaut. {error}",
+        "reset.failed": "Impossible de réinitialiser la configuration. {error}",
+        "undo.failed": "Impossible d'annuler la dernière modification. {error}",
+        "redo.failed": "Impossible de rétablir la modification. {error}",
+        "product.switchFailed": "Impossible de passer à « {product} ». {error}",
+        "price.base": "Prix de base",
+        "price.total": "Total",
+        "quote.missing": "Veuillez choisir : {applications}",
+        "quote.downloaded": "Configuration téléchargée.",
+        "quote.sent": "Demande de devis envoyée.",
+        "snapshot.failed": "Impossible de créer l'image. {error}",
+        "spec.title": "Fiche technique",
+        "spec.materials": "Matériaux",
+        "spec.variants": "Variantes",
+        "spec.group": "Groupe d'options",
+        "spec.part": "Partie",
+        "spec.option": "Option",
+        "spec.material": "Matériau",
+        "spec.color": "Couleur",
+        "spec.type": "Type",
+        "spec.variant": "Variante",
+        "spec.value": "Valeur",
+        "spec.missing": "Non sélectionné : {applications}",
+        "spec.link": "Lien de la configuration",
+        "spec.downloaded": "Fiche technique téléchargée (autorisez les fenêtres pop-up pour l'imprimer directement).",
+        "spec.failed": "Impossible de créer la fiche technique. {error}",
+        "progress.loading": "Chargement de {material}…",
+        "progress.loadingPercent": "Chargement de {material}… {percent} %",
+        "progress.importing": "Ajout de {material} à la scène…",
+        "saved.title": "Configurations enregistrées",
+        "saved.nameLabel": "Nom de la configuration",
+        "saved.namePlaceholder": "Nommer cette configuration",
+        "saved.nameRequired": "Veuillez saisir un nom pour la configuration.",
+        "saved.save": "Enregistrer",
+        "saved.load": "Charger",
+        "saved.delete": "Supprimer",
+        "saved.compare": "Comparer la sélection",
+        "saved.compareCount": "Choisissez deux ou trois configurations à comparer.",
+        "saved.export": "Exporter",
+        "saved.import": "Importer",
+        "saved.empty": "Aucune configuration enregistrée.",
+        "saved.saved": "« {name} » enregistrée.",
+        "saved.imported": "{count} configuration(s) importée(s).",
+        "saved.notFound": "Cette configuration enregistrée n'existe plus.",
+        "saved.invalidFile": "Ce fichier ne contient pas de configurations enregistrées.",
+        "error.retry": "Réessayer",
+        "error.unknown": "Une erreur s'est produite. Veuillez réessayer.",
+        "error.csvLoad": "Le catalogue produit n'a pas pu être chargé. Vérifiez votre connexion et réessayez.",
+        "error.fileFetch": "Le matériau de « {option} » n'a pas pu être téléchargé. Vérifiez votre connexion et réessayez.",
+        "error.import": "Le matériau de « {option} » n'a pas pu être ajouté à la vue 3D. Veuillez réessayer.",
+        "error.materialMatch": "« {option} » ne peut pas être affiché dans la vue 3D pour le moment. Choisissez une autre option ou contactez-nous.",
+        "error.apply": "« {option} » n'a pas pu être appliqué à la vue 3D. Veuillez réessayer.",
+        "error.variantNotFound": "« {option} » n'est pas disponible pour ce produit. Veuillez choisir une autre option.",
+        "error.apiConnect": "La vue 3D n'est pas disponible pour le moment. Vous pouvez continuer à choisir des options ; la vue se mettra à jour dès qu'elle sera connectée."
+      },
+      "applications": {
+        "fabric_seat": "Options de tissu",
+        "black metal": "Finition métal",
+        "fabric_armrest": "Accoudoirs",
+        "lift": "Hauteur d'assise",
+        "base": "Piètement"
+      },
+      "parts": {
+        "fabric_seat": {
+          "fabric_seat": "Assise",
+          "fabric_backrest": "Dossier",
+          "fabric_headrest": "Appui-tête",
+          "fabric_armrest": "Accoudoirs"
+        }
+      },
+      "options": {
+        "black metal": {
+          "Black Metal": "Métal noir",
+          "Graphite Metal": "Graphite",
+          "Chrome Glossy": "Chrome brillant"
+        },
+        "fabric_armrest": {
+          "With Armrest": "Avec accoudoirs",
+          "Without Armrest": "Sans accoudoirs"
+        },
+        "lift": {
+          "Standard": "Standard",
+          "Tall": "Haute",
+          "High": "Très haute"
+        },
+        "base": {
+          "Wheels (Hard Floors)": "Roulettes (sols durs)",
+          "Glides (Soft/Carpet Floors)": "Patins (sols souples/moquette)",
+          "Locking Castors": "Roulettes à frein"
+        },
+        "fabric_seat": {
+          "Corde4 (Humanscale) - Black": "Corde4 (Humanscale) - Noir",
+          "Corde4 (Humanscale) - Brown": "Corde4 (Humanscale) - Marron",
+          "Corde4 (Humanscale) - Medium Gray": "Corde4 (Humanscale) - Gris moyen",
+          "Corde4 (Humanscale) - Navy": "Corde4 (Humanscale) - Bleu marine",
+          "Corde4 (Humanscale) - Azure": "Corde4 (Humanscale) - Azur",
+          "Corde4 (Humanscale) - Deep Violet": "Corde4 (Humanscale) - Violet profond",
+          "Corde4 (Humanscale) - Parma Red": "Corde4 (Humanscale) - Rouge Parme",
+          "Corde4 (Humanscale) - Pumpkin": "Corde4 (Humanscale) - Citrouille"
+        }
+      },
+      "rules": {
+        "castors-require-armrest": "Les roulettes à frein ne sont proposées qu'avec accoudoirs.",
+        "glides-exclude-high-lift": "La hauteur très haute n'est pas stable sur patins.",
+        "high-lift-default-wheels": "La hauteur très haute est livrée avec roulettes, sauf si un autre piètement est choisi.",
+        "no-fabric-on-metal-armrest": "Les accoudoirs en métal ne peuvent pas recevoir de tissu."
+      }
+    }
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = freedomChairLocales;
+  } else {
+    root.freedomChairLocales = freedomChairLocales;
+  }
+})(this);
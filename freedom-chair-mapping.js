@@ -0,0 +1,130 @@
+/**
+ * Freedom Chair mapping: option groups, target scene objects and hand-written labels
+ * Options themselves come from Vectary_Materials.csv; entries here only override labels.
+ * A material option with "variants" ({ switcher: active_object }) also switches geometry.
+ * "parts" names the objects of an application that customers can give their own option.
+ * Shared by the browser configurator and the headless catalog validator.
+ */
+(function (root) {
+  'use strict';
+
+  const freedomChairMapping = {
+    "variantsTitle": "Variants",
+    "applications": {
+      "Fabric Options": "fabric_seat",
+      "Metal Finish": "black metal",
+      "Armrest": "fabric_armrest",
+      "Lift Height": "lift",
+      "Base Options": "base"
+    },
+    "objectNames": {
+      "fabric_seat": ["fabric_seat", "fabric_backrest", "fabric_headrest", "fabric_armrest"],
+      "black metal": ["black_metal", "3_metals", "lift", "footrest_chrome", "footrest_black_metal", "base", "metal_armrest", "lift_cover"],
+      "fabric_armrest": ["Armrest_on_off"],
+      "lift": ["Lift_heights"],
+      "base": ["plastic_general", "glides", "plastic_wheels", "fabric_armrest"]
+    },
+    "parts": {
+      "fabric_seat": {
+        "fabric_seat": "Seat",
+        "fabric_backrest": "Backrest",
+        "fabric_headrest": "Headrest",
+        "fabric_armrest": "Armrest"
+      }
+    },
+    "materials": {
+      "fabric_seat": {
+        "Vanir (kvadrat) - 113": { "name": "vanir_kvadrat", "color": "vanir113" },
+        "Vanir (kvadrat) - 133": { "name": "vanir_kvadrat", "color": "vanir133" },
+        "Vanir (kvadrat) - 193": { "name": "vanir_kvadrat", "color": "vanir193" },
+        "Vanir (kvadrat) - 243": { "name": "vanir_kvadrat", "color": "vanir243" },
+        "Vanir (kvadrat) - 293": { "name": "vanir_kvadrat", "color": "vanir293" },
+        "Vanir (kvadrat) - 363": { "name": "vanir_kvadrat", "color": "vanir363" },
+        "Vanir (kvadrat) - 373": { "name": "vanir_kvadrat", "color": "vanir373" },
+        "Vanir (kvadrat) - 393": { "name": "vanir_kvadrat", "color": "vanir393" },
+        "Vanir (kvadrat) - 413": { "name": "vanir_kvadrat", "color": "vanir413" },
+        "Vanir (kvadrat) - 443": { "name": "vanir_kvadrat", "color": "vanir443" },
+        "Vanir (kvadrat) - 473": { "name": "vanir_kvadrat", "color": "vanir473" },
+        "Vanir (kvadrat) - 693": { "name": "vanir_kvadrat", "color": "vanir693" },
+        "Vanir (kvadrat) - 733": { "name": "vanir_kvadrat", "color": "vanir733" },
+        "Vanir (kvadrat) - 773": { "name": "vanir_kvadrat", "color": "vanir773" },
+        "Vanir (kvadrat) - 883": { "name": "vanir_kvadrat", "color": "vanir883" },
+        "Vanir (kvadrat) - 913": { "name": "vanir_kvadrat", "color": "vanir913" },
+        "Vanir (kvadrat) - 943": { "name": "vanir_kvadrat", "color": "vanir943" },
+        "Vanir (kvadrat) - 983": { "name": "vanir_kvadrat", "color": "vanir983" },
+        "Corde4 (Humanscale) - Balsam": { "name": "corde4_humanscale", "color": "Corde4_balsam" },
+        "Corde4 (Humanscale) - Black": { "name": "corde4_humanscale", "color": "Corde4_black" },
+        "Corde4 (Humanscale) - Graphite": { "name": "corde4_humanscale", "color": "Corde4_graphite" },
+        "Corde4 (Humanscale) - Brown": { "name": "corde4_humanscale", "color": "Corde4_brown" },
+        "Corde4 (Humanscale) - Driftwood": { "name": "corde4_humanscale", "color": "Corde4_driftwood" },
+        "Corde4 (Humanscale) - Peacock": { "name": "corde4_humanscale", "color": "Corde4_peacock" },
+        "Corde4 (Humanscale) - Thalo": { "name": "corde4_humanscale", "color": "Corde4_thalo" },
+        "Corde4 (Humanscale) - Medium Gray": { "name": "corde4_humanscale", "color": "Corde4_mediumgray" },
+        "Corde4 (Humanscale) - Navy": { "name": "corde4_humanscale", "color": "Corde4_navy" },
+        "Corde4 (Humanscale) - Azure": { "name": "corde4_humanscale", "color": "Corde4_azure" },
+        "Corde4 (Humanscale) - Deep Violet": { "name": "corde4_humanscale", "color": "Corde4_deepviolet" },
+        "Corde4 (Humanscale) - Parma Red": { "name": "corde4_humanscale", "color": "Corde4_parmared" },
+        "Corde4 (Humanscale) - Pumpkin": { "name": "corde4_humanscale", "color": "Corde4_pumpkin" }
+      },
+      "black metal": {
+        "Black Metal": { "name": "Black_metal", "color": "Black_metal" },
+        "Graphite Metal": { "name": "graphite_metal", "color": "graphite_metal" },
+        "Chrome Glossy": { "name": "chrome_glossy", "color": "chrome_glossy" }
+      },
+      "fabric_armrest": {
+        "With Armrest": { "name": "fabric_armrest", "color": "armrest on" },
+        "Without Armrest": { "name": "fabric_armrest", "color": "armrest off" }
+      },
+      "lift": {
+        "Standard": { "name": "lift", "color": "Standard" },
+        "Tall": { "name": "lift", "color": "Tall" },
+        "High": { "name": "lift", "color": "High" }
+      },
+      "base": {
+        "Wheels (Hard Floors)": { "name": "black_plastic", "color": "black_plastic" },
+        "Glides (Soft/Carpet Floors)": { "name": "black_plastic", "color": "black_plastic" },
+        "Locking Castors": { "name": "black_plastic", "color": "black_plastic" }
+      }
+    },
+    "matching": {
+      "applications": {
+        "fabric_seat": { "strict": true }
+      }
+    },
+    "defaults": {
+      "base": "Wheels (Hard Floors)"
+    },
+    "rules": [
+      {
+        "id": "castors-require-armrest",
+        "when": { "base": "Locking Castors" },
+        "requires": { "fabric_armrest": "With Armrest" },
+        "message": "Locking castors are only built with armrests."
+      },
+      {
+        "id": "glides-exclude-high-lift",
+        "when": { "base": "Glides (Soft/Carpet Floors)" },
+        "excludes": { "lift": ["High"] },
+        "message": "The high lift is not stable on glides."
+      },
+      {
+        "id": "high-lift-default-wheels",
+        "when": { "lift": "High" },
+        "defaults": { "base": "Wheels (Hard Floors)" },
+        "message": "The high lift ships with wheels unless another base is chosen."
+      },
+      {
+        "id": "no-fabric-on-metal-armrest",
+        "objects": ["metal_armrest"],
+        "excludesMaterialTypes": ["fabric"],
+        "message": "Fabric cannot be applied to metal armrests."
+      }
+    ]
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = freedomChairMapping;
+  } else {
+    root.freedomChairMapping = freedomChairMapping;
+  }
+})(this);
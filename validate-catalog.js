@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Headless catalog validator
+ *
+ * Cross-checks Vectary_Materials.csv, Vectary_Products_Variants.csv, the mapping
+ * and the 3D files on disk. Exits with code 1 when errors are found.
+ *
+ * Usage:
+ *   node validate-catalog.js [--json] [--product <name>] [--mapping <mapping.js>] [--scene <scene.json>]
+ *
+ * --mapping checks another product's mapping module (defaults to freedom-chair-mapping.js).
+ *
+ * A scene dump can be saved from the browser console with
+ *   copy(JSON.stringify(await inspectVectaryAPI()))
+ * It also carries the material names of the 3D files loaded so far, so every option of
+ * those files is run through its application's matching strategy (see mapping.matching).
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, indexMaterialsRows, indexVariantsRows, validateCatalog, collectSceneNames } = require('./vectary-catalog.js');
+
+const ROOT = __dirname;
+const MATERIALS_CSV = path.join(ROOT, 'vectary', 'Vectary_Materials.csv');
+const VARIANTS_CSV = path.join(ROOT, 'vectary', 'Vectary_Products_Variants.csv');
+
+function parseArgs(argv) {
+  const args = { json: false, product: '', mapping: path.join(ROOT, 'freedom-chair-mapping.js'), scene: '' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      args.json = true;
+    } else if (argv[i] === '--product') {
+      args.product = argv[++i] || '';
+    } else if (argv[i] === '--mapping') {
+      args.mapping = argv[++i] || args.mapping;
+    } else if (argv[i] === '--scene') {
+      args.scene = argv[++i] || '';
+    }
+  }
+  return args;
+}
+
+function readCsv(file) {
+  return parseCsv(fs.readFileSync(file, 'utf8'));
+}
+
+function fileExists(url) {
+  return fs.existsSync(path.join(ROOT, url));
+}
+
+function loadScene(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function describeMatch(match) {
+  const result = match.material ? `"${match.material}" (${match.tier})` : `no material – ${match.error}`;
+  return `${match.application} / ${match.option} → ${result}`;
+}
+
+function printReport(report) {
+  const lines = [`Catalog validation for product "${report.product}"`];
+  report.errors.forEach(issue => lines.push(`  ERROR   ${issue.code}: ${issue.message}`));
+  report.warnings.forEach(issue => lines.push(`  WARNING ${issue.code}: ${issue.message}`));
+  report.matches.forEach(match => lines.push(`  MATCH   ${describeMatch(match)}`));
+  lines.push(`${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  // eslint-disable-next-line no-console
+  console.log(lines.join('\n'));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const mapping = require(path.resolve(args.mapping));
+  const scene = args.scene ? loadScene(args.scene) : null;
+  const report = validateCatalog(indexMaterialsRows(readCsv(MATERIALS_CSV)), indexVariantsRows(readCsv(VARIANTS_CSV)), mapping, {
+    product: args.product,
+    fileExists,
+    sceneObjectNames: scene ? collectSceneNames(scene.objects || [], scene.configState || []) : null,
+    importedMaterials: scene ? scene.importedMaterials : null,
+  });
+
+  if (args.json) {
+    // eslint-disable-next-line no-console
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  process.exitCode = report.ok ? 0 : 1;
+}
+
+main();
@@ -0,0 +1,136 @@
+/**
+ * In-memory stand-in for Vectary's VctrModelApi
+ *
+ * Implements the subset used by vectary-simple.js so the configurator can be tested
+ * under Node or run offline in the browser (assign it to window.VctrModelApi).
+ *
+ * options:
+ *   objects              scene tree; objects may have nested `children`
+ *   configurationState   variant entries ({ variant, active_object })
+ *   imports              file name → object created by importFiles ({ name, materials, children })
+ *   cameras              camera names available to switchViewToCamera
+ */
+(function (root) {
+  'use strict';
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  function walk(objects, visit) {
+    (objects || []).forEach(obj => {
+      visit(obj);
+      walk(obj.children, visit);
+    });
+  }
+
+  class MockVctrModelApi {
+    constructor(iframeId, options) {
+      const opts = options || {};
+      this.iframeId = iframeId;
+      this.objects = clone(opts.objects || []);
+      this.configurationState = clone(opts.configurationState || []);
+      this.imports = opts.imports || {};
+      this.cameras = opts.cameras || ['Default'];
+      this.activeCamera = this.cameras[0];
+      this.calls = [];
+      this.nextId = 1;
+      this.initialized = false;
+    }
+
+    record(method, ...args) {
+      this.calls.push({ method, args });
+    }
+
+    findObject(id) {
+      let found = null;
+      walk(this.objects, obj => {
+        if (!found && obj.id === id) found = obj;
+      });
+      return found;
+    }
+
+    async init() {
+      this.record('init');
+      this.initialized = true;
+    }
+
+    async getObjects() {
+      this.record('getObjects');
+      return clone(this.objects);
+    }
+
+    async importFiles(file, mode) {
+      this.record('importFiles', file && file.name, mode);
+      const template = this.imports[file.name] || { name: file.name, materials: [] };
+      const assignIds = obj => {
+        const copy = Object.assign({}, obj, { id: obj.id || `imported-${this.nextId++}` });
+        if (Array.isArray(obj.children)) {
+          copy.children = obj.children.map(assignIds);
+        }
+        return copy;
+      };
+      this.objects.push(assignIds(clone(template)));
+    }
+
+    async addOrEditMaterial(id, material) {
+      this.record('addOrEditMaterial', id, material);
+      const obj = this.findObject(id);
+      if (!obj) {
+        throw new Error(`Object not found: ${id}`);
+      }
+      obj.material = clone(material);
+    }
+
+    async deleteObjects(ids) {
+      this.record('deleteObjects', ids);
+      const remove = new Set(Array.isArray(ids) ? ids : [ids]);
+      const prune = objects =>
+        objects.filter(obj => !remove.has(obj.id)).map(obj => (obj.children ? Object.assign(obj, { children: prune(obj.children) }) : obj));
+      this.objects = prune(this.objects);
+    }
+
+    async toggleVisibility(ids, visible) {
+      this.record('toggleVisibility', ids, visible);
+      (Array.isArray(ids) ? ids : [ids]).forEach(id => {
+        const obj = this.findObject(id);
+        if (obj) obj.visible = visible;
+      });
+    }
+
+    async getConfigurationState() {
+      this.record('getConfigurationState');
+      return clone(this.configurationState);
+    }
+
+    async setConfigurationState(state) {
+      this.record('setConfigurationState', clone(state));
+      this.configurationState = clone(state);
+    }
+
+    async getCameras() {
+      this.record('getCameras');
+      return this.cameras.map(name => ({ name }));
+    }
+
+    async switchViewToCamera(name) {
+      this.record('switchViewToCamera', name);
+      if (!this.cameras.includes(name)) {
+        throw new Error(`Camera not found: ${name}`);
+      }
+      this.activeCamera = name;
+    }
+
+    async takeScreenshot() {
+      this.record('takeScreenshot', this.activeCamera);
+      // 1×1 transparent PNG
+      return 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+    }
+  }
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockVctrModelApi;
+  } else {
+    root.MockVctrModelApi = MockVctrModelApi;
+  }
+})(this);
@@ -0,0 +1,991 @@
+/**
+ * Vectary catalog: CSV parsing, option catalog building, material matching, scene object index,
+ * split parts and catalog validation
+ * Shared by the browser configurator and the headless catalog validator.
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-catalog', ['vectary-utils'], function (utils) {
+  'use strict';
+
+  const { debugLog, normalizeString, toOptionList, CsvLoadError } = utils;
+
+  // ============================================================================
+  // CSV PARSING
+  // ============================================================================
+
+  /**
+   * Parse CSV text into array of objects
+   * Supports quoted fields and commas inside quotes
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let current = [];
+    let value = '';
+    let inQuotes = false;
+
+    function endValue() {
+      current.push(value);
+      value = '';
+    }
+
+    function endRow() {
+      if (inQuotes) return;
+      endValue();
+      if (current.length && current.some(v => v !== '')) {
+        rows.push(current);
+      }
+      current = [];
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      const next = text[i + 1];
+
+      if (ch === '"') {
+        if (inQuotes && next === '"') {
+          value += '"';
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (ch === ',' && !inQuotes) {
+        endValue();
+      } else if ((ch === '\n' || ch === '\r') && !inQuotes) {
+        if (ch === '\r' && next === '\n') {
+          i++;
+        }
+        endRow();
+      } else {
+        value += ch;
+      }
+    }
+
+    if (value.length || current.length) {
+      endValue();
+      if (current.length && current.some(v => v !== '')) {
+        rows.push(current);
+      }
+    }
+
+    if (!rows.length) return [];
+    const headers = rows[0].map(h => h.trim());
+    const dataRows = rows.slice(1);
+    return dataRows.map(cols => {
+      const obj = {};
+      headers.forEach((h, idx) => {
+        obj[h] = (cols[idx] || '').trim();
+      });
+      return obj;
+    });
+  }
+
+  /**
+   * Split a comma-separated CSV cell into trimmed, non-empty values
+   */
+  function splitList(value) {
+    return (value || '')
+      .split(',')
+      .map(v => v.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Fetch a CSV file and parse it into row objects
+   */
+  async function fetchCsvRows(url, label) {
+    let res;
+    try {
+      res = await fetch(url, { cache: 'no-cache' });
+    } catch (err) {
+      throw new CsvLoadError(`Failed to load ${label} CSV: ${err.message}`, { url, label }, { cause: err });
+    }
+    if (!res.ok) {
+      throw new CsvLoadError(`Failed to load ${label} CSV: ${res.status} ${res.statusText}`, { url, label, status: res.status });
+    }
+    return parseCsv(await res.text());
+  }
+
+  /**
+   * Load and parse materials CSV into a map keyed by material name
+   */
+  async function loadMaterialsCsv(url) {
+    return indexMaterialsRows(await fetchCsvRows(url, 'materials'));
+  }
+
+  /**
+   * Index parsed materials CSV rows by material name
+   */
+  function indexMaterialsRows(rows) {
+    const byName = new Map();
+    rows.forEach(row => {
+      if (row.name) {
+        byName.set(row.name, row);
+      }
+    });
+    return { rows, byName };
+  }
+
+  /**
+   * Parse a variant_options cell into a map of variant name → { values, surcharges }
+   * Format: "Armrest_on_off: armrest on (+180) | armrest off; Lift_heights: Standard | Tall (+45)"
+   * The optional "(+amount)" suffix is the price surcharge of that active_object value
+   */
+  function parseVariantOptions(value) {
+    const options = new Map();
+    (value || '').split(';').forEach(part => {
+      const separator = part.indexOf(':');
+      if (separator === -1) return;
+      const variantName = part.slice(0, separator).trim();
+      const values = [];
+      const surcharges = {};
+      part
+        .slice(separator + 1)
+        .split('|')
+        .map(v => v.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+          const match = entry.match(/^(.*?)\s*\(\s*([+-]?\d+(?:\.\d+)?)\s*\)$/);
+          const optionValue = match ? match[1] : entry;
+          values.push(optionValue);
+          if (match) {
+            surcharges[optionValue] = parseFloat(match[2]);
+          }
+        });
+      if (variantName) {
+        options.set(variantName, { values, surcharges });
+      }
+    });
+    return options;
+  }
+
+  /**
+   * Load and parse products/variants CSV
+   * Returns rows keyed by product name and a map of variant switcher name → { product, values, surcharges }
+   */
+  async function loadVariantsCsv(url) {
+    return indexVariantsRows(await fetchCsvRows(url, 'variants'));
+  }
+
+  /**
+   * Index parsed products/variants CSV rows by product and variant switcher name
+   * variantsByProduct keeps each product's switchers apart when products reuse a switcher name
+   */
+  function indexVariantsRows(rows) {
+    const byProduct = new Map();
+    const variants = new Map();
+    const variantsByProduct = new Map();
+    rows.forEach(row => {
+      if (!row.name) return;
+      byProduct.set(row.name, row);
+      const productVariants = new Map();
+      variantsByProduct.set(row.name, productVariants);
+      const options = parseVariantOptions(row.variant_options);
+      const defaults = parseVariantOptions(row.default_options);
+      splitList(row.variants).forEach(variantName => {
+        const variantOptions = options.get(variantName) || { values: [], surcharges: {} };
+        const variant = {
+          product: row.name,
+          values: variantOptions.values,
+          surcharges: variantOptions.surcharges,
+          defaultValue: defaults.has(variantName) ? defaults.get(variantName).values[0] || '' : '',
+        };
+        productVariants.set(variantName, variant);
+        if (!variants.has(variantName)) variants.set(variantName, variant);
+      });
+    });
+    return { rows, byProduct, variants, variantsByProduct };
+  }
+
+  /**
+   * View of indexed variants data limited to one product's variant switchers
+   */
+  function scopeVariantsToProduct(variantsData, productName) {
+    if (!productName || !variantsData.variantsByProduct || !variantsData.variantsByProduct.has(productName)) {
+      return variantsData;
+    }
+    return Object.assign({}, variantsData, { variants: variantsData.variantsByProduct.get(productName) });
+  }
+
+  // ============================================================================
+  // CATALOG BUILDING
+  // ============================================================================
+
+  /**
+   * Turn a CSV token into a display label ("vanir_kvadrat" → "Vanir Kvadrat")
+   */
+  function humanizeToken(token) {
+    return (token || '')
+      .toString()
+      .split(/[_\s]+/)
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  /**
+   * Build a default option label for a material color
+   * Strips the family prefix from the color ("vanir113" → "Vanir Kvadrat - 113")
+   */
+  function buildMaterialLabel(row, color, colorCount) {
+    const familyLabel = humanizeToken(row.name);
+    if (colorCount <= 1) {
+      return familyLabel;
+    }
+    const familyToken = (row.name || '').split('_')[0].toLowerCase();
+    let colorPart = color;
+    if (familyToken && color.toLowerCase().startsWith(familyToken)) {
+      colorPart = color.slice(familyToken.length).replace(/^[_\s-]+/, '') || color;
+    }
+    return `${familyLabel} - ${humanizeToken(colorPart)}`;
+  }
+
+  /**
+   * Swatch metadata for one material color (null when the CSV row has none)
+   */
+  function buildSwatch(row, color, swatchColor) {
+    const image = row.swatch_image ? row.swatch_image.replace(/\{color\}/g, encodeURIComponent(color)) : '';
+    if (!swatchColor && !image) return null;
+    return { color: swatchColor || '', image };
+  }
+
+  /**
+   * Find the material application whose target objects overlap most with a CSV row's applications
+   * Ties go to the application listed first in the mapping
+   */
+  function assignMaterialApplication(row, materialApplications, objectNames) {
+    const rowTargets = splitList(row.applications).map(normalizeString);
+    let best = null;
+    let bestScore = 0;
+    materialApplications.forEach(applicationName => {
+      const targets = (objectNames[applicationName] || []).map(normalizeString);
+      const score = targets.filter(target => rowTargets.includes(target)).length;
+      if (score > bestScore) {
+        best = applicationName;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Collect hand-written labels for an option from the override mapping
+   * Several labels may point at the same material (e.g. the base options)
+   */
+  function findOverrideLabels(overrideMaterials, matches) {
+    return Object.keys(overrideMaterials || {}).filter(label => matches(overrideMaterials[label]));
+  }
+
+  /**
+   * Build the option mapping from the CSV catalog
+   * `overrides` supplies applications, objectNames and optional hand-written labels;
+   * options whose name/color are not in the CSV are dropped
+   *
+   * Default options come from overrides.defaults ({ application: optionLabel }), falling back to
+   * the materials CSV default_color column and the variants CSV default_options column
+   *
+   * Material options carry swatch metadata from the materials CSV when present:
+   * swatch_colors (CSS colors in color_options order) and swatch_image (URL template with {color})
+   *
+   * Material options keep the variants ({ switcher: active_object }) of their override entry;
+   * such composite options switch geometry along with the material
+   *
+   * overrides.parts ({ app: { objectName: label } }) lets material applications be split (see SPLIT PARTS)
+   */
+  function buildCatalog(materialsData, variantsData, overrides, productName, config) {
+    variantsData = scopeVariantsToProduct(variantsData, productName);
+    const applications = Object.assign({}, (overrides && overrides.applications) || {});
+    const objectNames = Object.assign({}, (overrides && overrides.objectNames) || {});
+    const overrideMaterials = (overrides && overrides.materials) || {};
+    const materials = {};
+    const defaults = {};
+
+    const applicationNames = Object.values(applications);
+    const variantApplications = applicationNames.filter(applicationName =>
+      (objectNames[applicationName] || []).some(name => variantsData.variants.has(name))
+    );
+    const materialApplications = applicationNames.filter(name => !variantApplications.includes(name));
+    applicationNames.forEach(applicationName => {
+      materials[applicationName] = {};
+    });
+
+    // Material options: one per CSV color, grouped by the application they cover
+    materialsData.rows.forEach(row => {
+      if (!row.name) return;
+      if (productName && !splitList(row.products).includes(productName)) return;
+
+      const applicationName = assignMaterialApplication(row, materialApplications, objectNames);
+      if (!applicationName) {
+        debugLog(config, 'CSV material does not cover any application:', row.name);
+        return;
+      }
+
+      const colors = splitList(row.color_options);
+      const swatchColors = splitList(row.swatch_colors);
+      (colors.length ? colors : [row.name]).forEach((color, index) => {
+        const labels = findOverrideLabels(
+          overrideMaterials[applicationName],
+          entry =>
+            entry && normalizeString(entry.name) === normalizeString(row.name) && normalizeString(entry.color) === normalizeString(color)
+        );
+        const optionLabels = labels.length ? labels : [buildMaterialLabel(row, color, colors.length)];
+        const swatch = buildSwatch(row, color, swatchColors[index]);
+        optionLabels.forEach(label => {
+          const option = swatch ? { name: row.name, color, swatch } : { name: row.name, color };
+          const override = labels.length ? overrideMaterials[applicationName][label] : null;
+          if (override && override.variants) {
+            option.variants = Object.assign({}, override.variants);
+          }
+          materials[applicationName][label] = option;
+        });
+        if (!defaults[applicationName] && row.default_color && normalizeString(row.default_color) === normalizeString(color)) {
+          defaults[applicationName] = optionLabels[0];
+        }
+      });
+    });
+
+    // Variant options: one per active_object value listed in the variants CSV
+    variantApplications.forEach(applicationName => {
+      (objectNames[applicationName] || []).forEach(variantName => {
+        const variant = variantsData.variants.get(variantName);
+        if (!variant) return;
+        if (productName && variant.product !== productName) return;
+        variant.values.forEach(value => {
+          const labels = findOverrideLabels(
+            overrideMaterials[applicationName],
+            entry => entry && normalizeString(entry.color) === normalizeString(value)
+          );
+          const optionLabels = labels.length ? labels : [humanizeToken(value)];
+          optionLabels.forEach(label => {
+            materials[applicationName][label] = { name: variantName, color: value };
+          });
+          if (!defaults[applicationName] && variant.defaultValue && normalizeString(variant.defaultValue) === normalizeString(value)) {
+            defaults[applicationName] = optionLabels[0];
+          }
+        });
+      });
+    });
+
+    // Report hand-written options that the CSV does not back
+    Object.keys(overrideMaterials).forEach(applicationName => {
+      Object.keys(overrideMaterials[applicationName] || {}).forEach(label => {
+        if (!materials[applicationName] || !materials[applicationName][label]) {
+          debugLog(config, 'Dropping mapping option not found in CSV catalog:', applicationName, label);
+        }
+      });
+    });
+
+    Object.entries((overrides && overrides.defaults) || {}).forEach(([applicationName, optionLabel]) => {
+      if (materials[applicationName] && materials[applicationName][optionLabel]) {
+        defaults[applicationName] = optionLabel;
+      } else {
+        debugLog(config, 'Ignoring default option not found in CSV catalog:', applicationName, optionLabel);
+      }
+    });
+
+    // Only material applications can be split into parts
+    const parts = {};
+    Object.entries((overrides && overrides.parts) || {}).forEach(([applicationName, labels]) => {
+      if (materialApplications.includes(applicationName)) {
+        parts[applicationName] = Object.assign({}, labels);
+      }
+    });
+
+    return {
+      variantsTitle: overrides && overrides.variantsTitle,
+      applications,
+      objectNames,
+      materials,
+      parts,
+      defaults,
+      matching: (overrides && overrides.matching) || {},
+      rules: (overrides && overrides.rules) || [],
+    };
+  }
+
+  // ============================================================================
+  // MATERIAL MATCHING
+  // ============================================================================
+
+  // Matching tiers in the order they are tried unless mapping.matching says otherwise:
+  //   exact       material name equals the target
+  //   normalized  equal ignoring case, spaces and underscores
+  //   partial     the target's words appear in the material name ("chrome_glossy" → "Fabric_chrome_glossy")
+  //   color       the material's color property equals the target color
+  //   token       the last word of the color appears in the material name ("Corde4_pumpkin" → "Pumpkin")
+  const MATCH_TIERS = ['exact', 'normalized', 'partial', 'color', 'token'];
+
+  /**
+   * Lowercase words of a name ("Fabric_chrome glossy" → ["fabric", "chrome", "glossy"])
+   */
+  function tokenize(str) {
+    return (str || '').toString().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  /**
+   * Whether the words of needle appear consecutively in haystack
+   */
+  function containsTokens(haystack, needle) {
+    if (!needle.length) return false;
+    for (let i = 0; i + needle.length <= haystack.length; i++) {
+      if (needle.every((token, offset) => haystack[i + offset] === token)) return true;
+    }
+    return false;
+  }
+
+  const MATCHERS = {
+    exact: (material, target) => material.name === target.name,
+    normalized: (material, target) => normalizeString(material.name) === normalizeString(target.name),
+    // Only the target inside the material name counts; a short material name inside a longer target would
+    // pick the wrong color
+    partial: (material, target) => containsTokens(tokenize(material.name), tokenize(target.name)),
+    color: (material, target) => !!target.color && normalizeString(material.color) === normalizeString(target.color),
+    token: (material, target) => {
+      const words = (target.color || '').includes('_') ? tokenize(target.color) : [];
+      return words.length > 1 && tokenize(material.name).includes(words[words.length - 1]);
+    },
+  };
+
+  /**
+   * Matching strategy of an application from mapping.matching:
+   *   { tiers, strict, applications: { applicationName: { tiers, strict } } }
+   * Strict applications fail instead of guessing when no tier gives exactly one material
+   */
+  function getMatchingStrategy(mapping, applicationName) {
+    const matching = (mapping && mapping.matching) || {};
+    const own = (matching.applications && matching.applications[applicationName]) || {};
+    return {
+      tiers: (own.tiers || matching.tiers || MATCH_TIERS).filter(tier => MATCHERS[tier]),
+      strict: own.strict !== undefined ? !!own.strict : !!matching.strict,
+    };
+  }
+
+  /**
+   * Match a target { name, color } against the materials of an imported object
+   * Tiers are tried in order; the first with any match decides. Without a match the first material
+   * is used, unless the strategy is strict.
+   *
+   * Returns a report: { material, tier, target, strict, candidates, tiers: [{ tier, matches }], ambiguous, fallback, error }
+   * where material is null and error explains why when matching failed
+   */
+  function matchMaterial(importedObject, target, strategy) {
+    const { tiers, strict } = strategy || { tiers: MATCH_TIERS, strict: false };
+    const materials = (importedObject && importedObject.materials) || [];
+    const report = {
+      material: null,
+      tier: null,
+      target: { name: target.name || '', color: target.color || '' },
+      strict,
+      candidates: materials.map(material => material.name),
+      tiers: [],
+      ambiguous: false,
+      fallback: false,
+      error: '',
+    };
+    if (!materials.length) {
+      report.error = 'The imported object has no materials';
+      return report;
+    }
+
+    for (const tier of tiers) {
+      const matches = materials.filter(material => MATCHERS[tier](material, report.target));
+      report.tiers.push({ tier, matches: matches.map(material => material.name) });
+      if (!matches.length) continue;
+      report.ambiguous = matches.length > 1;
+      if (report.ambiguous && strict) {
+        report.error = `The "${tier}" tier matched ${matches.length} materials (${matches.map(m => m.name).join(', ')})`;
+        return report;
+      }
+      report.material = matches[0];
+      report.tier = tier;
+      return report;
+    }
+
+    if (strict) {
+      report.error = `No tier (${tiers.join(', ')}) matched any of: ${report.candidates.join(', ')}`;
+      return report;
+    }
+    report.material = materials[0];
+    report.tier = 'fallback';
+    report.fallback = true;
+    return report;
+  }
+
+  /**
+   * Find a material matching target info from imported object (default tiers, no fallback)
+   */
+  function findMatchingMaterial(importedObject, targetName, targetColor) {
+    const report = matchMaterial(importedObject, { name: targetName, color: targetColor });
+    return report.fallback ? null : report.material;
+  }
+
+  /**
+   * Resolve the 3D file URL for a CSV row (download_link wins over _3d_file)
+   * Bare file names are looked up in ./vectary/3d_files/
+   */
+  function resolveMaterialFileUrl(csvRow) {
+    const fileUrl = csvRow.download_link || csvRow._3d_file || '';
+    if (fileUrl && !fileUrl.includes('://') && !fileUrl.startsWith('./')) {
+      return './vectary/3d_files/' + fileUrl;
+    }
+    return fileUrl;
+  }
+
+  // ============================================================================
+  // SCENE OBJECT INDEX
+  // ============================================================================
+
+  /**
+   * Recursively flatten Vectary object hierarchy into a simple array
+   * Handles nested API responses where objects can have `children`
+   */
+  function flattenObjectsRecursively(objects, flat) {
+    const list = flat || [];
+    (objects || []).forEach(obj => {
+      if (!obj) return;
+      list.push(obj);
+      if (Array.isArray(obj.children) && obj.children.length) {
+        flattenObjectsRecursively(obj.children, list);
+      }
+    });
+    return list;
+  }
+
+  /**
+   * Build an index from object name → array of objects (handles nested trees)
+   */
+  function buildObjectIndex(objects) {
+    const flatObjects = flattenObjectsRecursively(objects || []);
+    const byName = new Map();
+    flatObjects.forEach(obj => {
+      const name = (obj && obj.name) || '';
+      if (!name) return;
+      const list = byName.get(name) || [];
+      list.push(obj);
+      byName.set(name, list);
+    });
+    return byName;
+  }
+
+  // ============================================================================
+  // APPLICATION TYPE DETECTION
+  // ============================================================================
+
+  /**
+   * Determine if an application should be treated as a variant instead of a material
+   * An application is a variant switcher when it targets a variant listed in the variants CSV
+   */
+  function isVariantApplication(mapping, applicationName, variantsData) {
+    const targetObjectNames = (mapping.objectNames && mapping.objectNames[applicationName]) || [];
+    return targetObjectNames.some(name => variantsData.variants.has(name));
+  }
+
+  /**
+   * Whether an option of a material application also switches variant geometry
+   */
+  function isCompositeOption(mapping, applicationName, optionLabel) {
+    const entry = mapping.materials && mapping.materials[applicationName] && mapping.materials[applicationName][optionLabel];
+    return !!(entry && entry.variants && Object.keys(entry.variants).length);
+  }
+
+  // ============================================================================
+  // SPLIT PARTS
+  // ============================================================================
+  //
+  // Material applications listed in mapping.parts ({ app: { objectName: label } }) can be split so
+  // each listed target object takes its own option (two-tone upholstery). A part's own choice is a
+  // selection under "app/objectName"; parts without one follow the application's option. Linking
+  // the parts again drops their own choices.
+
+  const PART_SEPARATOR = '/';
+
+  function toPartKey(applicationName, partName) {
+    return applicationName + PART_SEPARATOR + partName;
+  }
+
+  /**
+   * Split a selection key into { application, part } (part is '' for application keys)
+   */
+  function parseSelectionKey(key) {
+    const index = key.indexOf(PART_SEPARATOR);
+    return index === -1 ? { application: key, part: '' } : { application: key.slice(0, index), part: key.slice(index + 1) };
+  }
+
+  /**
+   * Target objects of an application that can take their own option ([] when it cannot be split)
+   */
+  function getSplitParts(mapping, applicationName) {
+    const parts = mapping.parts && mapping.parts[applicationName];
+    if (!parts) return [];
+    return ((mapping.objectNames && mapping.objectNames[applicationName]) || []).filter(name =>
+      Object.prototype.hasOwnProperty.call(parts, name)
+    );
+  }
+
+  /**
+   * Option shown on one target object: its own choice, else the application's option
+   */
+  function getPartOption(selectionMap, applicationName, partName) {
+    return selectionMap.get(toPartKey(applicationName, partName)) || selectionMap.get(applicationName) || '';
+  }
+
+  /**
+   * Option a selection key shows (part keys fall back to their application)
+   */
+  function getEffectiveSelection(selectionMap, key) {
+    const { application, part } = parseSelectionKey(key);
+    return part ? getPartOption(selectionMap, application, part) : selectionMap.get(key) || '';
+  }
+
+  /**
+   * Whether a selection key and option exist in the catalog (part keys only for split parts)
+   */
+  function isKnownSelection(mapping, key, optionLabel) {
+    const { application, part } = parseSelectionKey(key);
+    const appMaterials = mapping.materials && mapping.materials[application];
+    if (!appMaterials || !Object.prototype.hasOwnProperty.call(appMaterials, optionLabel)) return false;
+    return !part || getSplitParts(mapping, application).includes(part);
+  }
+
+  /**
+   * Group an application's target objects by the option each one shows: option → [objectName]
+   */
+  function groupPartsByOption(mapping, selectionMap, applicationName) {
+    const groups = new Map();
+    ((mapping.objectNames && mapping.objectNames[applicationName]) || []).forEach(name => {
+      const optionLabel = getPartOption(selectionMap, applicationName, name);
+      if (!groups.has(optionLabel)) groups.set(optionLabel, []);
+      groups.get(optionLabel).push(name);
+    });
+    return groups;
+  }
+
+  /**
+   * Display title of a part, e.g. "Fabric Options – Headrest"
+   */
+  function getPartTitle(i18n, applicationName, partName, applicationTitle, partLabel) {
+    return `${i18n.application(applicationName, applicationTitle)} – ${i18n.part(applicationName, partName, partLabel)}`;
+  }
+
+  /**
+   * Applications with parts that have their own option
+   */
+  function findSplitApplications(mapping, selectionMap) {
+    const split = new Set();
+    selectionMap.forEach((optionLabel, key) => {
+      const { application, part } = parseSelectionKey(key);
+      if (part && getSplitParts(mapping, application).includes(part)) split.add(application);
+    });
+    return split;
+  }
+
+  // ============================================================================
+  // CATALOG VALIDATION
+  // ============================================================================
+
+  /**
+   * Cross-check the materials CSV, variants CSV, mapping overrides, files and scene
+   *
+   * options.fileExists(url) → boolean     checks 3D files (skipped when omitted)
+   * options.sceneObjectNames → Set         object and variant names present in the scene (skipped when omitted)
+   * options.importedMaterials → Object     3D file URL → material names inside it; matches every option of those
+   *                                        files with its application's strategy (skipped when omitted)
+   *
+   * Returns { ok, product, errors, warnings, matches } where each issue is { code, message, context }
+   * and matches holds one match report per checked option (see matchMaterial)
+   */
+  function validateCatalog(materialsData, variantsData, mapping, options) {
+    const opts = options || {};
+    const errors = [];
+    const warnings = [];
+    const productName = opts.product || (variantsData.rows[0] && variantsData.rows[0].name) || '';
+    variantsData = scopeVariantsToProduct(variantsData, productName);
+    const applications = Object.values(mapping.applications || {});
+    const objectNames = mapping.objectNames || {};
+    const overrideMaterials = mapping.materials || {};
+
+    function issue(list, code, message, context) {
+      list.push({ code, message, context: context || {} });
+    }
+
+    const variantApplications = applications.filter(applicationName =>
+      (objectNames[applicationName] || []).some(name => variantsData.variants.has(name))
+    );
+    const materialApplications = applications.filter(name => !variantApplications.includes(name));
+
+    // Materials CSV rows
+    const seenNames = new Set();
+    materialsData.rows.forEach(row => {
+      const context = { material: row.name || '' };
+      if (!row.name) {
+        issue(errors, 'MATERIAL_MISSING_NAME', 'Materials CSV row has no name', context);
+        return;
+      }
+      if (seenNames.has(row.name)) {
+        issue(errors, 'MATERIAL_DUPLICATE_NAME', `Material "${row.name}" is listed more than once`, context);
+      }
+      seenNames.add(row.name);
+
+      const fileUrl = resolveMaterialFileUrl(row);
+      if (!fileUrl) {
+        issue(errors, 'MATERIAL_MISSING_FILE', `Material "${row.name}" has no download_link or _3d_file`, context);
+      } else if (opts.fileExists) {
+        const candidates = [fileUrl];
+        if (row._3d_file && row.download_link) {
+          candidates.push(resolveMaterialFileUrl({ _3d_file: row._3d_file }));
+        }
+        candidates
+          .filter((url, idx) => candidates.indexOf(url) === idx)
+          .forEach(url => {
+            if (!url.includes('://') && !opts.fileExists(url)) {
+              issue(errors, 'MATERIAL_FILE_NOT_FOUND', `3D file for material "${row.name}" does not exist: ${url}`, {
+                material: row.name,
+                fileUrl: url,
+              });
+            }
+          });
+      }
+
+      if (!splitList(row.color_options).length) {
+        issue(warnings, 'MATERIAL_NO_COLORS', `Material "${row.name}" lists no color_options`, context);
+      }
+      const swatchCount = splitList(row.swatch_colors).length;
+      if (swatchCount && swatchCount !== splitList(row.color_options).length) {
+        issue(warnings, 'MATERIAL_SWATCH_MISMATCH', `Material "${row.name}" lists ${swatchCount} swatch_colors for ${splitList(row.color_options).length} color_options`, context);
+      }
+      if (row.default_color && !splitList(row.color_options).some(color => normalizeString(color) === normalizeString(row.default_color))) {
+        issue(errors, 'MATERIAL_DEFAULT_NOT_IN_COLORS', `Default color "${row.default_color}" of "${row.name}" is not in its color_options`, context);
+      }
+
+      const products = splitList(row.products);
+      products.forEach(product => {
+        if (!variantsData.byProduct.has(product)) {
+          issue(errors, 'MATERIAL_UNKNOWN_PRODUCT', `Material "${row.name}" references unknown product "${product}"`, {
+            material: row.name,
+            product,
+          });
+        }
+      });
+
+      if (products.includes(productName) && !assignMaterialApplication(row, materialApplications, objectNames)) {
+        issue(warnings, 'MATERIAL_UNASSIGNED', `Material "${row.name}" does not cover any mapping application`, context);
+      }
+    });
+
+    // Variants CSV rows
+    variantsData.rows.forEach(row => {
+      if (row.name && !Number.isFinite(parseFloat(row.base_price))) {
+        issue(warnings, 'PRODUCT_NO_BASE_PRICE', `Product "${row.name}" has no base_price`, { product: row.name });
+      }
+      // With several products the switcher needs each product's scene
+      if (row.name && !row.scene_id && variantsData.byProduct.size > 1) {
+        issue(warnings, 'PRODUCT_NO_SCENE', `Product "${row.name}" has no scene_id`, { product: row.name });
+      }
+    });
+    variantsData.variants.forEach((variant, variantName) => {
+      if (!variant.values.length) {
+        issue(errors, 'VARIANT_NO_OPTIONS', `Variant "${variantName}" has no variant_options values`, {
+          product: variant.product,
+          variant: variantName,
+        });
+      }
+      if (variant.defaultValue && !variant.values.includes(variant.defaultValue)) {
+        issue(errors, 'VARIANT_DEFAULT_UNKNOWN', `Default "${variant.defaultValue}" of variant "${variantName}" is not one of its variant_options`, {
+          product: variant.product,
+          variant: variantName,
+        });
+      }
+    });
+
+    // Mapping applications and objectNames
+    applications.forEach(applicationName => {
+      if (!(objectNames[applicationName] || []).length) {
+        issue(errors, 'APPLICATION_NO_OBJECTS', `Application "${applicationName}" has no objectNames`, {
+          application: applicationName,
+        });
+      }
+    });
+
+    // Mapping options (hand-written overrides) must be backed by the CSVs
+    Object.keys(overrideMaterials).forEach(applicationName => {
+      const isVariant = variantApplications.includes(applicationName);
+      if (!applications.includes(applicationName)) {
+        issue(warnings, 'MAPPING_UNUSED_APPLICATION', `Mapping materials for "${applicationName}" are not used by any application`, {
+          application: applicationName,
+        });
+      }
+
+      Object.keys(overrideMaterials[applicationName] || {}).forEach(optionLabel => {
+        const entry = overrideMaterials[applicationName][optionLabel] || {};
+        const context = { application: applicationName, option: optionLabel, name: entry.name, color: entry.color };
+
+        if (isVariant) {
+          const values = (objectNames[applicationName] || []).reduce((all, variantName) => {
+            const variant = variantsData.variants.get(variantName);
+            return variant ? all.concat(variant.values) : all;
+          }, []);
+          if (!values.some(value => normalizeString(value) === normalizeString(entry.color))) {
+            issue(errors, 'MAPPING_VARIANT_NOT_IN_CSV', `Variant value "${entry.color}" for "${optionLabel}" is not in the variants CSV`, context);
+          }
+          return;
+        }
+
+        const row = materialsData.rows.find(r => normalizeString(r.name) === normalizeString(entry.name));
+        if (!row) {
+          issue(errors, 'MAPPING_MATERIAL_NOT_IN_CSV', `Material "${entry.name}" for "${optionLabel}" is not in the materials CSV`, context);
+          return;
+        }
+        const colors = splitList(row.color_options);
+        if (!colors.some(color => normalizeString(color) === normalizeString(entry.color))) {
+          issue(errors, 'MAPPING_COLOR_NOT_IN_CSV', `Color "${entry.color}" for "${optionLabel}" is not in the color_options of "${row.name}"`, context);
+        }
+
+        // Composite options: the geometry they switch must be in the variants CSV
+        Object.entries(entry.variants || {}).forEach(([variantName, value]) => {
+          const variant = variantsData.variants.get(variantName);
+          const variantContext = Object.assign({ variant: variantName, value }, context);
+          if (!variant) {
+            issue(errors, 'MAPPING_VARIANT_UNKNOWN', `Variant "${variantName}" for "${optionLabel}" is not in the variants CSV`, variantContext);
+          } else if (!variant.values.some(known => normalizeString(known) === normalizeString(value))) {
+            issue(errors, 'MAPPING_VARIANT_NOT_IN_CSV', `Variant value "${value}" for "${optionLabel}" is not in the variants CSV`, variantContext);
+          }
+        });
+      });
+    });
+
+    // Split parts must be target objects of a material application
+    Object.entries(mapping.parts || {}).forEach(([applicationName, labels]) => {
+      const context = { application: applicationName };
+      if (!materialApplications.includes(applicationName)) {
+        issue(errors, 'PARTS_NOT_MATERIAL_APPLICATION', `Parts are listed for "${applicationName}", which is not a material application`, context);
+        return;
+      }
+      Object.keys(labels || {}).forEach(partName => {
+        if (!(objectNames[applicationName] || []).includes(partName)) {
+          issue(errors, 'PART_NOT_IN_OBJECTS', `Part "${partName}" is not one of the objectNames of "${applicationName}"`, Object.assign({ part: partName }, context));
+        }
+      });
+    });
+
+    // Compatibility rules must reference known applications and options
+    const catalog = buildCatalog(materialsData, variantsData, mapping, productName);
+    (mapping.rules || []).forEach(rule => {
+      const references = [rule.when, rule.requires, rule.excludes, rule.defaults];
+      references.forEach(section => {
+        Object.keys(section || {}).forEach(applicationName => {
+          const context = { rule: rule.id, application: applicationName };
+          if (!catalog.materials[applicationName]) {
+            issue(errors, 'RULE_UNKNOWN_APPLICATION', `Rule "${rule.id}" references unknown application "${applicationName}"`, context);
+            return;
+          }
+          toOptionList(section[applicationName]).forEach(optionLabel => {
+            if (!catalog.materials[applicationName][optionLabel]) {
+              issue(errors, 'RULE_UNKNOWN_OPTION', `Rule "${rule.id}" references unknown option "${optionLabel}"`, Object.assign({ option: optionLabel }, context));
+            }
+          });
+        });
+      });
+    });
+
+    // Default options must exist in the generated catalog
+    Object.entries(mapping.defaults || {}).forEach(([applicationName, optionLabel]) => {
+      if (!catalog.materials[applicationName] || !catalog.materials[applicationName][optionLabel]) {
+        issue(errors, 'MAPPING_DEFAULT_UNKNOWN', `Default "${optionLabel}" for "${applicationName}" is not an available option`, {
+          application: applicationName,
+          option: optionLabel,
+        });
+      }
+    });
+
+    // Scene objects (only when a scene dump is available)
+    if (opts.sceneObjectNames) {
+      applications.forEach(applicationName => {
+        // Composite options switch variants outside the application's objectNames
+        const switched = Object.values(overrideMaterials[applicationName] || {}).reduce(
+          (names, entry) => names.concat(Object.keys((entry && entry.variants) || {})),
+          []
+        );
+        new Set((objectNames[applicationName] || []).concat(switched)).forEach(objectName => {
+          if (!opts.sceneObjectNames.has(objectName)) {
+            issue(errors, 'OBJECT_NOT_IN_SCENE', `Object "${objectName}" for "${applicationName}" is not in the scene`, {
+              application: applicationName,
+              object: objectName,
+            });
+          }
+        });
+      });
+    }
+
+    // Material matching (only when the materials inside the 3D files are known, e.g. from a scene dump)
+    const matches = [];
+    if (opts.importedMaterials) {
+      materialApplications.forEach(applicationName => {
+        const strategy = getMatchingStrategy(mapping, applicationName);
+        Object.entries(catalog.materials[applicationName] || {}).forEach(([optionLabel, entry]) => {
+          const row = materialsData.byName.get(entry.name);
+          const file = row ? resolveMaterialFileUrl(row) : '';
+          const names = file && opts.importedMaterials[file];
+          if (!names) return;
+
+          const importedObject = { materials: names.map(name => (typeof name === 'string' ? { name } : name)) };
+          const report = matchMaterial(importedObject, { name: entry.color || entry.name, color: entry.color }, strategy);
+          matches.push(Object.assign({ application: applicationName, option: optionLabel, file }, report, {
+            material: report.material && report.material.name,
+          }));
+
+          const context = { application: applicationName, option: optionLabel, file, tier: report.tier };
+          if (!report.material) {
+            issue(errors, 'MATERIAL_MATCH_FAILED', `No material for "${optionLabel}" in ${file}: ${report.error}`, context);
+          } else if (report.fallback) {
+            issue(errors, 'MATERIAL_MATCH_FALLBACK', `No material matches "${optionLabel}" in ${file}; "${report.material.name}" would be shown instead`, context);
+          } else if (report.ambiguous) {
+            issue(warnings, 'MATERIAL_MATCH_AMBIGUOUS', `Several materials in ${file} match "${optionLabel}" (${report.tier}); "${report.material.name}" is used`, context);
+          }
+        });
+      });
+    }
+
+    return { ok: errors.length === 0, product: productName, errors, warnings, matches };
+  }
+
+  /**
+   * Collect object and variant names from a scene (objects tree + configuration state)
+   */
+  function collectSceneNames(objects, configState) {
+    const names = new Set(buildObjectIndex(objects).keys());
+    (Array.isArray(configState) ? configState : []).forEach(entry => {
+      if (entry && entry.variant) {
+        names.add(entry.variant);
+      }
+    });
+    return names;
+  }
+
+  return {
+    parseCsv,
+    loadMaterialsCsv,
+    indexMaterialsRows,
+    parseVariantOptions,
+    loadVariantsCsv,
+    indexVariantsRows,
+    scopeVariantsToProduct,
+    humanizeToken,
+    buildCatalog,
+    getMatchingStrategy,
+    matchMaterial,
+    findMatchingMaterial,
+    resolveMaterialFileUrl,
+    buildObjectIndex,
+    isVariantApplication,
+    isCompositeOption,
+    toPartKey,
+    parseSelectionKey,
+    getSplitParts,
+    getPartOption,
+    getEffectiveSelection,
+    isKnownSelection,
+    groupPartsByOption,
+    getPartTitle,
+    findSplitApplications,
+    validateCatalog,
+    collectSceneNames,
+  };
+});
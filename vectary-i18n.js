@@ -0,0 +1,178 @@
+/**
+ * Localization: built-in English messages, locale negotiation and the translator over config.locales bundles
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-i18n', ['vectary-catalog'], function (catalog) {
+  'use strict';
+
+  const { humanizeToken, parseSelectionKey } = catalog;
+
+  // ============================================================================
+  // LOCALIZATION
+  // ============================================================================
+  //
+  // config.locales maps locale codes to bundles (see freedom-chair-locales.js):
+  //   { messages: { key: text }, applications: { app: title },
+  //     options: { app: { optionLabel: text } }, parts: { app: { objectName: text } }, rules: { ruleId: message },
+  //     products: { name: text } }
+  // Option labels stay the identifiers in URLs, saved configurations and quotes;
+  // bundles only change what is displayed. Missing entries fall back to English.
+
+  // English UI strings; {name} placeholders are filled from the params passed to t()
+  const DEFAULT_MESSAGES = {
+    'ui.loading': 'Loading configuration...',
+    'ui.infoTitle': 'Configuration:',
+    'ui.infoText': 'Select options below to customize your chair. Changes will be reflected in the 3D model on the right.',
+    'ui.product': 'Product',
+    'action.quote': 'Request quote / Add to cart',
+    'action.snapshot': 'Download image',
+    'action.spec': 'Print spec sheet',
+    'action.bomCsv': 'Bill of materials (CSV)',
+    'action.bomJson': 'Bill of materials (JSON)',
+    'action.reset': 'Reset to defaults',
+    'action.undo': 'Undo',
+    'action.redo': 'Redo',
+    'status.initializing': 'Initializing 3D configurator...',
+    'status.initFailed': 'Failed to initialize 3D configurator. Please reload the page and check the browser console.',
+    'status.reconnected': 'The 3D view is connected again.',
+    'option.placeholder': 'Choose an option...',
+    'option.applying': 'applying…',
+    'option.unavailable': 'Unavailable – {notes}',
+    'parts.link': 'Link parts',
+    'selection.notAvailable': '"{option}" is not available: {reason}',
+    'selection.changed': 'Changed to "{option}": {reason}',
+    'defaults.failed': 'Unable to apply the default options. {error}',
+    'reset.failed': 'Unable to reset the configuration. {error}',
+    'undo.failed': 'Unable to undo the last change. {error}',
+    'redo.failed': 'Unable to redo the change. {error}',
+    'product.switchFailed': 'Unable to switch to "{product}". {error}',
+    'price.base': 'Base price',
+    'price.total': 'Total',
+    'quote.missing': 'Please choose: {applications}',
+    'quote.downloaded': 'Configuration downloaded.',
+    'quote.sent': 'Quote request sent.',
+    'snapshot.failed': 'Unable to create image. {error}',
+    'spec.title': 'Specification sheet',
+    'spec.materials': 'Materials',
+    'spec.variants': 'Variants',
+    'spec.group': 'Option group',
+    'spec.part': 'Part',
+    'spec.option': 'Option',
+    'spec.material': 'Material',
+    'spec.color': 'Color',
+    'spec.type': 'Type',
+    'spec.variant': 'Variant',
+    'spec.value': 'Value',
+    'spec.missing': 'Not selected: {applications}',
+    'spec.link': 'Configuration link',
+    'spec.downloaded': 'Spec sheet downloaded (allow pop-ups to print it directly).',
+    'spec.failed': 'Unable to create the spec sheet. {error}',
+    'progress.loading': 'Loading {material}…',
+    'progress.loadingPercent': 'Loading {material}… {percent}%',
+    'progress.importing': 'Adding {material} to the scene…',
+    'saved.title': 'Saved configurations',
+    'saved.nameLabel': 'Configuration name',
+    'saved.namePlaceholder': 'Name this configuration',
+    'saved.nameRequired': 'Please enter a name for the configuration.',
+    'saved.save': 'Save',
+    'saved.load': 'Load',
+    'saved.delete': 'Delete',
+    'saved.compare': 'Compare selected',
+    'saved.compareCount': 'Choose two or three configurations to compare.',
+    'saved.export': 'Export',
+    'saved.import': 'Import',
+    'saved.empty': 'No saved configurations yet.',
+    'saved.saved': 'Saved "{name}".',
+    'saved.imported': 'Imported {count} configuration(s).',
+    'saved.notFound': 'This saved configuration no longer exists.',
+    'saved.invalidFile': 'This file does not contain saved configurations.',
+    'error.retry': 'Try again',
+    'error.unknown': 'Something went wrong. Please try again.',
+    'error.csvLoad': 'The product catalog could not be loaded. Please check your connection and try again.',
+    'error.fileFetch': 'The material for "{option}" could not be downloaded. Please check your connection and try again.',
+    'error.import': 'The material for "{option}" could not be added to the 3D view. Please try again.',
+    'error.materialMatch': '"{option}" cannot be shown in the 3D view right now. Please choose another option or contact us.',
+    'error.apply': '"{option}" could not be applied to the 3D view. Please try again.',
+    'error.variantNotFound': '"{option}" is not available for this product. Please choose another option.',
+    'error.apiConnect': 'The 3D view is not available right now. You can keep choosing options; the view updates once it connects.',
+  };
+
+  /**
+   * Pick the locale to use: the first candidate with a bundle (exact code, then base language), else "en"
+   * Candidates are tried in order, e.g. [?lang= value, config.locale, ...navigator.languages]
+   */
+  function resolveLocale(available, candidates) {
+    const codes = Object.keys(available || {});
+    const find = code => codes.find(key => key.toLowerCase() === code.toLowerCase());
+    for (const candidate of candidates || []) {
+      if (!candidate) continue;
+      const match = find(candidate) || find(candidate.split('-')[0]);
+      if (match) return match;
+    }
+    return 'en';
+  }
+
+  /**
+   * Locale candidates for a configurator, most specific first
+   */
+  function getLocaleCandidates(config) {
+    const candidates = [];
+    if (typeof window !== 'undefined' && window.location) {
+      candidates.push(new URLSearchParams(window.location.search).get(config.localeParam || 'lang'));
+    }
+    candidates.push(config.locale);
+    if (typeof navigator !== 'undefined' && !config.locale) {
+      candidates.push(...(navigator.languages || [navigator.language]));
+    }
+    return candidates;
+  }
+
+  /**
+   * Translator for one locale; lookups fall back to the "en" bundle, then to the built-in English
+   */
+  function createTranslator(bundles, locale) {
+    const chain = [bundles && bundles[locale], locale !== 'en' && bundles && bundles.en].filter(Boolean);
+    const lookup = (section, ...path) => {
+      for (const bundle of chain) {
+        let value = bundle[section];
+        path.forEach(key => {
+          value = value && value[key];
+        });
+        if (typeof value === 'string') return value;
+      }
+      return null;
+    };
+    const format = (template, params) =>
+      template.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? String(params[name]) : match));
+
+    return {
+      locale,
+      t: (key, params) => format(lookup('messages', key) || DEFAULT_MESSAGES[key] || key, params),
+      application: (applicationName, fallbackTitle) => lookup('applications', applicationName) || fallbackTitle || applicationName,
+      // Part keys ("app/part") share their application's option texts
+      option: (applicationName, optionLabel) => lookup('options', parseSelectionKey(applicationName).application, optionLabel) || optionLabel,
+      part: (applicationName, partName, fallbackLabel) => lookup('parts', applicationName, partName) || fallbackLabel || humanizeToken(partName),
+      rule: rule => lookup('rules', rule.id) || rule.message,
+      product: productName => lookup('products', productName) || humanizeToken(productName),
+    };
+  }
+
+  /**
+   * Translate static markup inside an element: [data-i18n] sets the text, [data-i18n-title] the title
+   */
+  function translateStaticText(root, i18n) {
+    if (!root) return;
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = i18n.t(el.getAttribute('data-i18n'));
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+      el.title = i18n.t(el.getAttribute('data-i18n-title'));
+    });
+  }
+
+  return {
+    resolveLocale,
+    getLocaleCandidates,
+    createTranslator,
+    translateStaticText,
+  };
+});
@@ -0,0 +1,43 @@
+/**
+ * Loader shared by the vectary-*.js files
+ * Under Node each file is a CommonJS module; in the browser it is a <script> tag publishing a global
+ * named after the file (vectary-spec-sheet.js → window.VectarySpecSheet). Load this file first.
+ */
+(function (root) {
+  'use strict';
+
+  const isCommonJs = typeof module !== 'undefined' && module.exports;
+
+  function toGlobalName(name) {
+    return name.replace(/(?:^|-)(\w)/g, (match, letter) => letter.toUpperCase());
+  }
+
+  /**
+   * Exports of a sibling file, named without the extension ("vectary-catalog")
+   */
+  function requireModule(name) {
+    return isCommonJs ? require(`./${name}.js`) : root[toGlobalName(name)];
+  }
+
+  /**
+   * Build a module from the exports of its dependencies and publish what the factory returns
+   * scope is the file's top-level `this`: module.exports under Node, window in the browser
+   */
+  function defineModule(scope, name, dependencies, factory) {
+    const exported = factory(...dependencies.map(requireModule));
+    if (isCommonJs) {
+      Object.assign(scope, exported);
+    } else {
+      scope[toGlobalName(name)] = exported;
+    }
+    return exported;
+  }
+
+  const VectaryModules = { requireModule, defineModule };
+
+  if (isCommonJs) {
+    module.exports = VectaryModules;
+  } else {
+    root.VectaryModules = VectaryModules;
+  }
+})(this);
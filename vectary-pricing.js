@@ -0,0 +1,165 @@
+/**
+ * Pricing: option surcharges from the catalog, totals, currency formatting and the price summary
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-pricing', ['vectary-catalog'], function (catalog) {
+  'use strict';
+
+  const { getSplitParts, groupPartsByOption } = catalog;
+
+  // ============================================================================
+  // PRICING
+  // ============================================================================
+
+  /**
+   * Parse a price cell; empty or invalid values count as 0
+   */
+  function parsePrice(value) {
+    const amount = parseFloat((value || '').toString().replace(/[^\d.+-]/g, ''));
+    return Number.isFinite(amount) ? amount : 0;
+  }
+
+  /**
+   * Look up the surcharge of a selected option
+   * Materials use the CSV row's surcharge, variants the "(+amount)" of their active_object value;
+   * composite options add up both
+   */
+  function getOptionSurcharge(mapping, materialsData, variantsData, applicationName, optionLabel) {
+    const entry = mapping.materials && mapping.materials[applicationName] && mapping.materials[applicationName][optionLabel];
+    if (!entry) return 0;
+
+    const variant = variantsData.variants.get(entry.name);
+    if (variant) {
+      return variant.surcharges[entry.color] || 0;
+    }
+
+    const row = materialsData.byName.get(entry.name);
+    const variantSurcharge = Object.entries(entry.variants || {}).reduce((sum, [variantName, value]) => {
+      const switcher = variantsData.variants.get(variantName);
+      return sum + ((switcher && switcher.surcharges[value]) || 0);
+    }, 0);
+    return (row ? parsePrice(row.surcharge) : 0) + variantSurcharge;
+  }
+
+  /**
+   * Price the current selections
+   * pricing.currency / pricing.rates convert from the product currency (rates are per 1 unit of it)
+   * Returns { currency, base, items: [{ application, title, option, amount }], total },
+   * or null for a product without a base_price so that nobody is quoted a total of 0
+   */
+  function calculatePrice(mapping, materialsData, variantsData, productName, selectionMap, pricing) {
+    const opts = pricing || {};
+    const productRow = variantsData.byProduct.get(productName) || {};
+    if (!(productRow.base_price || '').trim()) return null;
+    const productCurrency = productRow.currency || opts.currency || 'EUR';
+    const currency = opts.currency || productCurrency;
+    const rate = currency === productCurrency ? 1 : (opts.rates && opts.rates[currency]) || null;
+    if (!rate) {
+      throw new Error(`No exchange rate from ${productCurrency} to ${currency} in pricing.rates`);
+    }
+
+    const convert = amount => Math.round(amount * rate * 100) / 100;
+    const base = convert(parsePrice(productRow.base_price));
+    const items = [];
+
+    Object.keys(mapping.applications || {}).forEach(title => {
+      const applicationName = mapping.applications[title];
+      const optionLabel = selectionMap.get(applicationName);
+      if (!optionLabel) return;
+      // Split applications cost the highest surcharge among the options their parts show
+      const shown = getSplitParts(mapping, applicationName).length
+        ? Array.from(groupPartsByOption(mapping, selectionMap, applicationName).keys()).filter(Boolean)
+        : [optionLabel];
+      const surcharge = Math.max(...shown.map(label => getOptionSurcharge(mapping, materialsData, variantsData, applicationName, label)));
+      items.push({
+        application: applicationName,
+        title,
+        option: optionLabel,
+        amount: convert(surcharge),
+      });
+    });
+
+    const total = items.reduce((sum, item) => sum + item.amount, base);
+    return { currency, base, items, total: Math.round(total * 100) / 100 };
+  }
+
+  /**
+   * Format an amount for display using Intl (locale defaults to the browser's)
+   */
+  function formatPrice(amount, currency, locale) {
+    return new Intl.NumberFormat(locale || undefined, { style: 'currency', currency }).format(amount);
+  }
+
+  /**
+   * Render the running total and itemized breakdown into a price element
+   */
+  function renderPriceSummary(el, quote, locale, i18n) {
+    el.innerHTML = '';
+    const list = document.createElement('ul');
+    list.className = 'vectary-price-items';
+
+    const addLine = (label, amount, className) => {
+      const item = document.createElement('li');
+      item.className = className;
+      const name = document.createElement('span');
+      name.textContent = label;
+      const value = document.createElement('span');
+      value.textContent = formatPrice(amount, quote.currency, locale);
+      item.appendChild(name);
+      item.appendChild(value);
+      list.appendChild(item);
+    };
+
+    addLine(i18n.t('price.base'), quote.base, 'vectary-price-base');
+    quote.items.forEach(item => {
+      addLine(
+        `${i18n.application(item.application, item.title)}: ${i18n.option(item.application, item.option)}`,
+        item.amount,
+        'vectary-price-item'
+      );
+    });
+    addLine(i18n.t('price.total'), quote.total, 'vectary-price-total');
+    el.appendChild(list);
+  }
+
+  /**
+   * Price the session's current selections, or the given ones
+   * null when the catalog is not loaded, the product has no prices or pricing fails
+   */
+  function getSessionQuote(session, selectionMap) {
+    if (!session.mapping) return null;
+    try {
+      return calculatePrice(
+        session.mapping,
+        session.materialsData,
+        session.variantsData,
+        session.productName,
+        selectionMap || session.selections,
+        session.config.pricing
+      );
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Failed to calculate price', err);
+      return null;
+    }
+  }
+
+  /**
+   * Recalculate and render the price for the current selections
+   */
+  function updatePriceSummary(session) {
+    if (!session.priceElement) return;
+    const quote = getSessionQuote(session);
+    if (quote) {
+      renderPriceSummary(session.priceElement, quote, (session.config.pricing || {}).locale, session.i18n);
+    } else {
+      session.priceElement.innerHTML = '';
+    }
+  }
+
+  return {
+    calculatePrice,
+    formatPrice,
+    getSessionQuote,
+    updatePriceSummary,
+  };
+});
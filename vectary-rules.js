@@ -0,0 +1,156 @@
+/**
+ * Option compatibility rules (mapping.rules): which options a selection excludes or forces
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-rules', ['vectary-utils', 'vectary-catalog'], function (utils, catalog) {
+  'use strict';
+
+  const { toOptionList } = utils;
+  const { parseSelectionKey } = catalog;
+
+  // ============================================================================
+  // OPTION COMPATIBILITY RULES
+  // ============================================================================
+  //
+  // mapping.rules is a list of declarative rules:
+  //   { id, when: { app: option | [options] }, requires: { app: option | [options] },
+  //     excludes: { app: [options] }, defaults: { app: option }, message }
+  //   { id, objects: [objectName], excludesMaterialTypes: [csvType], message }
+  //
+  // `requires` and `excludes` are auto-resolved on other applications; an option is
+  // unavailable when resolving would have to change the application being selected.
+
+  /**
+   * Check whether all `when` conditions of a rule hold for a selection map
+   */
+  function isRuleActive(rule, selectionMap) {
+    const conditions = Object.keys(rule.when || {});
+    return (
+      conditions.length > 0 &&
+      conditions.every(applicationName => toOptionList(rule.when[applicationName]).includes(selectionMap.get(applicationName)))
+    );
+  }
+
+  /**
+   * Reasons an option is never available, independent of other selections
+   * (object rules such as "no fabric on metal_armrest"); key is an application or "app/part"
+   */
+  function getStaticRuleReasons(mapping, materialsData, key, optionLabel) {
+    const { application: applicationName, part } = parseSelectionKey(key);
+    const entry = mapping.materials && mapping.materials[applicationName] && mapping.materials[applicationName][optionLabel];
+    const row = entry && materialsData.byName.get(entry.name);
+    if (!row) return [];
+
+    // A part only has to suit its own object
+    const targetObjectNames = part ? [part] : (mapping.objectNames && mapping.objectNames[applicationName]) || [];
+    return (mapping.rules || [])
+      .filter(
+        rule =>
+          rule.objects &&
+          toOptionList(rule.excludesMaterialTypes).includes(row.type) &&
+          rule.objects.some(objectName => targetObjectNames.includes(objectName))
+      )
+      .map(rule => rule.message || rule.id);
+  }
+
+  /**
+   * Resolve the consequences of selecting an option under mapping.rules
+   * Returns { allowed, reasons, changes: [{ application, option, reason }], selections }
+   */
+  function resolveSelection(mapping, materialsData, currentSelections, applicationName, optionLabel) {
+    const rules = (mapping.rules || []).filter(rule => rule.when);
+    const proposed = new Map(currentSelections);
+    proposed.set(applicationName, optionLabel);
+
+    const blocked = reasons => ({ allowed: false, reasons, changes: [], selections: currentSelections });
+
+    const staticReasons = getStaticRuleReasons(mapping, materialsData, applicationName, optionLabel);
+    if (staticReasons.length) {
+      return blocked(staticReasons);
+    }
+
+    const pinned = new Set([applicationName]);
+    const changes = new Map();
+
+    const pickOption = (targetApplication, accept) =>
+      Object.keys((mapping.materials && mapping.materials[targetApplication]) || {}).find(
+        label => accept(label) && !getStaticRuleReasons(mapping, materialsData, targetApplication, label).length
+      );
+
+    const change = (targetApplication, label, reason) => {
+      proposed.set(targetApplication, label);
+      pinned.add(targetApplication);
+      changes.set(targetApplication, { application: targetApplication, option: label, reason });
+    };
+
+    // Rules can trigger each other; a few passes reach a fixed point for realistic rule sets
+    for (let pass = 0; pass < 5; pass++) {
+      let changed = false;
+
+      for (const rule of rules) {
+        if (!isRuleActive(rule, proposed)) continue;
+        const reason = rule.message || rule.id;
+
+        for (const targetApplication of Object.keys(rule.excludes || {})) {
+          const excluded = toOptionList(rule.excludes[targetApplication]);
+          if (!excluded.includes(proposed.get(targetApplication))) continue;
+          const replacement = !pinned.has(targetApplication) && pickOption(targetApplication, label => !excluded.includes(label));
+          if (!replacement) return blocked([reason]);
+          change(targetApplication, replacement, reason);
+          changed = true;
+        }
+
+        for (const targetApplication of Object.keys(rule.requires || {})) {
+          const required = toOptionList(rule.requires[targetApplication]);
+          if (required.includes(proposed.get(targetApplication))) continue;
+          if (pinned.has(targetApplication)) return blocked([reason]);
+          change(targetApplication, required[0], reason);
+          changed = true;
+        }
+
+        for (const targetApplication of Object.keys(rule.defaults || {})) {
+          if (proposed.get(targetApplication)) continue;
+          change(targetApplication, rule.defaults[targetApplication], reason);
+          changed = true;
+        }
+      }
+
+      if (!changed) break;
+    }
+
+    return { allowed: true, reasons: [], changes: Array.from(changes.values()), selections: proposed };
+  }
+
+  /**
+   * List selections in a complete selection map that break a rule (used for shared links)
+   */
+  function findRuleViolations(mapping, materialsData, selectionMap) {
+    const violations = [];
+    selectionMap.forEach((optionLabel, applicationName) => {
+      getStaticRuleReasons(mapping, materialsData, applicationName, optionLabel).forEach(reason => {
+        violations.push({ application: applicationName, option: optionLabel, reason });
+      });
+    });
+    (mapping.rules || []).forEach(rule => {
+      if (!rule.when || !isRuleActive(rule, selectionMap)) return;
+      const reason = rule.message || rule.id;
+      Object.keys(rule.excludes || {}).forEach(applicationName => {
+        const optionLabel = selectionMap.get(applicationName);
+        if (toOptionList(rule.excludes[applicationName]).includes(optionLabel)) {
+          violations.push({ application: applicationName, option: optionLabel, reason });
+        }
+      });
+      Object.keys(rule.requires || {}).forEach(applicationName => {
+        const optionLabel = selectionMap.get(applicationName);
+        if (optionLabel && !toOptionList(rule.requires[applicationName]).includes(optionLabel)) {
+          violations.push({ application: applicationName, option: optionLabel, reason });
+        }
+      });
+    });
+    return violations;
+  }
+
+  return {
+    resolveSelection,
+    findRuleViolations,
+  };
+});
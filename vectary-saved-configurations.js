@@ -0,0 +1,368 @@
+/**
+ * Saved configurations: named selections persisted per product, import/export and side-by-side comparison
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-saved-configurations', ['vectary-utils', 'vectary-catalog', 'vectary-rules', 'vectary-pricing'], function (utils, catalog, rules, pricing) {
+  'use strict';
+
+  const { InputError } = utils;
+  const { getSplitParts, getPartOption, getPartTitle, isKnownSelection, findSplitApplications } = catalog;
+  const { resolveSelection } = rules;
+  const { formatPrice, getSessionQuote } = pricing;
+
+  // ============================================================================
+  // SAVED CONFIGURATIONS
+  // ============================================================================
+  //
+  // A saved configuration is { id, name, product, selections: { app: option, "app/part": option }, savedAt }.
+  // The list lives on the session and is persisted per product in localStorage
+  // (or config.storage, any object with getItem/setItem) when available.
+
+  /**
+   * Storage used to persist saved configurations (null when unavailable)
+   */
+  function resolveStorage(config) {
+    if (config.storage) return config.storage;
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (err) {
+      // Reading localStorage throws when the browser blocks storage
+      return null;
+    }
+  }
+
+  function getSavedConfigurationsKey(session) {
+    return `${session.config.savedConfigurationsKey || 'vectary-configurations'}:${session.productName}`;
+  }
+
+  function createConfigurationId() {
+    return `cfg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Normalize saved configuration records from storage or an import
+   * Records for other products are skipped and options missing from the catalog are dropped
+   */
+  function sanitizeSavedConfigurations(records, mapping, productName) {
+    if (!Array.isArray(records)) {
+      throw new TypeError('Saved configurations must be a JSON array.');
+    }
+    return records
+      .filter(record => record && typeof record === 'object' && record.selections && typeof record.selections === 'object')
+      .filter(record => !record.product || !productName || record.product === productName)
+      .map(record => {
+        const selections = {};
+        Object.keys(record.selections).forEach(key => {
+          const optionLabel = record.selections[key];
+          if (isKnownSelection(mapping, key, optionLabel)) {
+            selections[key] = optionLabel;
+          }
+        });
+        return {
+          id: String(record.id || createConfigurationId()),
+          name: String(record.name || 'Untitled configuration'),
+          product: productName,
+          selections,
+          savedAt: record.savedAt || new Date().toISOString(),
+        };
+      });
+  }
+
+  /**
+   * Load the persisted list into the session
+   */
+  function restoreSavedConfigurations(session) {
+    const storage = resolveStorage(session.config);
+    session.savedConfigurations = [];
+    if (!storage) return;
+    try {
+      const raw = storage.getItem(getSavedConfigurationsKey(session));
+      if (raw) {
+        session.savedConfigurations = sanitizeSavedConfigurations(JSON.parse(raw), session.mapping, session.productName);
+      }
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn('[VectarySimple] Ignoring unreadable saved configurations', err);
+    }
+  }
+
+  /**
+   * Persist the session's list and refresh the saved configurations panel
+   */
+  function persistSavedConfigurations(session) {
+    const storage = resolveStorage(session.config);
+    if (storage) {
+      try {
+        storage.setItem(getSavedConfigurationsKey(session), JSON.stringify(session.savedConfigurations));
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn('[VectarySimple] Unable to persist saved configurations', err);
+      }
+    }
+    renderSavedList(session);
+  }
+
+  function findSavedConfiguration(session, id) {
+    const record = session.savedConfigurations.find(entry => entry.id === id);
+    if (!record) {
+      throw new InputError(session.i18n.t('saved.notFound'), { id });
+    }
+    return record;
+  }
+
+  /**
+   * Save the current selections under a name; saving an existing name replaces it
+   */
+  function saveConfiguration(session, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new InputError(session.i18n.t('saved.nameRequired'));
+    }
+    const existing = session.savedConfigurations.find(entry => entry.name === trimmed);
+    const record = {
+      id: existing ? existing.id : createConfigurationId(),
+      name: trimmed,
+      product: session.productName,
+      selections: Object.fromEntries(session.selections),
+      savedAt: new Date().toISOString(),
+    };
+    session.savedConfigurations = existing
+      ? session.savedConfigurations.map(entry => (entry === existing ? record : entry))
+      : session.savedConfigurations.concat(record);
+    persistSavedConfigurations(session);
+    return record;
+  }
+
+  function deleteSavedConfiguration(session, id) {
+    findSavedConfiguration(session, id);
+    session.savedConfigurations = session.savedConfigurations.filter(entry => entry.id !== id);
+    persistSavedConfigurations(session);
+  }
+
+  /**
+   * JSON document with the saved configurations of the current product
+   */
+  function exportSavedConfigurations(session) {
+    return JSON.stringify({ product: session.productName, configurations: session.savedConfigurations }, null, 2);
+  }
+
+  /**
+   * Merge configurations from an exported JSON document (or a bare array); same ids are replaced
+   * Returns the number of configurations imported
+   */
+  function importSavedConfigurations(session, json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (err) {
+      throw new InputError(session.i18n.t('saved.invalidFile'), {}, { cause: err });
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed && parsed.configurations;
+    if (!Array.isArray(list)) {
+      throw new InputError(session.i18n.t('saved.invalidFile'));
+    }
+    const records = sanitizeSavedConfigurations(list, session.mapping, session.productName);
+    const ids = new Set(records.map(record => record.id));
+    session.savedConfigurations = session.savedConfigurations.filter(entry => !ids.has(entry.id)).concat(records);
+    persistSavedConfigurations(session);
+    return records.length;
+  }
+
+  /**
+   * A saved configuration's selections with the choices the rules make for them (defaults, required options),
+   * as loading and pricing it would see them
+   */
+  function resolveSavedSelections(session, record) {
+    return Object.keys(record.selections).reduce((selections, key) => {
+      const resolution = resolveSelection(session.mapping, session.materialsData, selections, key, record.selections[key]);
+      return resolution.allowed ? resolution.selections : selections;
+    }, new Map(Object.entries(record.selections)));
+  }
+
+  /**
+   * Compare two or three saved configurations per application, after the rules resolved their selections
+   *
+   * Returns { configurations: [{ id, name, total, currency }],
+   *           rows: [{ application, part?, partLabel?, title, options: [optionLabel | null], differs }] }
+   * Split applications add a row per part
+   */
+  function compareConfigurations(session, ids) {
+    if (!Array.isArray(ids) || ids.length < 2 || ids.length > 3) {
+      throw new InputError(session.i18n.t('saved.compareCount'), { count: Array.isArray(ids) ? ids.length : 0 });
+    }
+    const records = ids.map(id => findSavedConfiguration(session, id));
+    const { mapping } = session;
+
+    const recordSelections = records.map(record => resolveSavedSelections(session, record));
+    const configurations = records.map((record, index) => {
+      const quote = getSessionQuote(session, recordSelections[index]);
+      return {
+        id: record.id,
+        name: record.name,
+        total: quote ? quote.total : null,
+        currency: quote ? quote.currency : null,
+      };
+    });
+
+    const rows = [];
+    Object.keys(mapping.applications || {}).forEach(title => {
+      const applicationName = mapping.applications[title];
+      const options = recordSelections.map(selections => selections.get(applicationName) || null);
+      rows.push({ application: applicationName, title, options, differs: options.some(option => option !== options[0]) });
+
+      // Parts get their own rows once any of the configurations splits the application
+      if (!recordSelections.some(selections => findSplitApplications(mapping, selections).has(applicationName))) return;
+      getSplitParts(mapping, applicationName).forEach(partName => {
+        const partOptions = recordSelections.map(selections => getPartOption(selections, applicationName, partName) || null);
+        rows.push({
+          application: applicationName,
+          part: partName,
+          partLabel: mapping.parts[applicationName][partName],
+          title,
+          options: partOptions,
+          differs: partOptions.some(option => option !== partOptions[0]),
+        });
+      });
+    });
+
+    return { configurations, rows };
+  }
+
+  /**
+   * Render a comparison as a table; rows that differ get the "is-different" class
+   */
+  function renderComparison(el, comparison, locale, i18n) {
+    el.innerHTML = '';
+    const table = document.createElement('table');
+    table.className = 'vectary-compare-table';
+
+    const addRow = (cells, className, header) => {
+      const row = document.createElement('tr');
+      if (className) row.className = className;
+      cells.forEach((text, index) => {
+        const cell = document.createElement(header || index === 0 ? 'th' : 'td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    };
+
+    addRow([''].concat(comparison.configurations.map(entry => entry.name)), null, true);
+    comparison.rows.forEach(row => {
+      const options = row.options.map(option => (option ? i18n.option(row.application, option) : '—'));
+      const label = row.part
+        ? getPartTitle(i18n, row.application, row.part, row.title, row.partLabel)
+        : i18n.application(row.application, row.title);
+      addRow([label].concat(options), row.differs ? 'is-different' : null);
+    });
+    const totals = comparison.configurations.map(entry =>
+      entry.total === null ? '—' : formatPrice(entry.total, entry.currency, locale)
+    );
+    addRow([i18n.t('price.total')].concat(totals), totals.some(total => total !== totals[0]) ? 'is-different' : null);
+
+    el.appendChild(table);
+  }
+
+  /**
+   * Render the saved configurations panel: name field, list, compare/export/import actions
+   */
+  function renderSavedPanel(session) {
+    const { i18n } = session;
+    const el = session.savedElement;
+    el.innerHTML = '';
+
+    const heading = document.createElement('h2');
+    heading.textContent = i18n.t('saved.title');
+    el.appendChild(heading);
+
+    const form = document.createElement('form');
+    form.className = 'vectary-saved-form';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = 'name';
+    input.placeholder = i18n.t('saved.namePlaceholder');
+    input.setAttribute('aria-label', i18n.t('saved.nameLabel'));
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.textContent = i18n.t('saved.save');
+    form.appendChild(input);
+    form.appendChild(save);
+    el.appendChild(form);
+
+    const list = document.createElement('ul');
+    list.className = 'vectary-saved-list';
+    el.appendChild(list);
+
+    const actions = document.createElement('div');
+    actions.className = 'vectary-saved-actions';
+    ['compare', 'export', 'import'].forEach(action => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.setAttribute('data-action', action);
+      button.textContent = i18n.t(`saved.${action}`);
+      actions.appendChild(button);
+    });
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    actions.appendChild(fileInput);
+    el.appendChild(actions);
+
+    const compare = document.createElement('div');
+    compare.className = 'vectary-compare';
+    el.appendChild(compare);
+
+    renderSavedList(session);
+  }
+
+  /**
+   * Re-render the list of saved configurations
+   */
+  function renderSavedList(session) {
+    const list = session.savedElement && session.savedElement.querySelector('.vectary-saved-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (!session.savedConfigurations.length) {
+      const empty = document.createElement('li');
+      empty.className = 'vectary-saved-empty';
+      empty.textContent = session.i18n.t('saved.empty');
+      list.appendChild(empty);
+      return;
+    }
+
+    session.savedConfigurations.forEach(record => {
+      const item = document.createElement('li');
+      item.setAttribute('data-id', record.id);
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = record.id;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(' ' + record.name));
+      item.appendChild(label);
+
+      ['load', 'delete'].forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.setAttribute('data-action', action);
+        button.textContent = session.i18n.t(`saved.${action}`);
+        item.appendChild(button);
+      });
+      list.appendChild(item);
+    });
+  }
+
+  return {
+    restoreSavedConfigurations,
+    findSavedConfiguration,
+    saveConfiguration,
+    deleteSavedConfiguration,
+    exportSavedConfigurations,
+    importSavedConfigurations,
+    compareConfigurations,
+    renderComparison,
+    renderSavedPanel,
+  };
+});
@@ -5,217 +5,399 @@
   // STATE MANAGEMENT
   // ============================================================================
 
+  const isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
+
   // Expose model API instance for debugging
-  window.vectaryModelApi = window.vectaryModelApi || null;
+  if (isBrowser) {
+    window.vectaryModelApi = window.vectaryModelApi || null;
+  }
 
-  // Cache for loaded 3D files (blobs)
+  // Cache for loaded 3D files (blobs), shared by all configurator instances
   const fileCache = new Map();
 
-  // Cache for imported objects (keyed by file URL)
-  const objectCache = new Map();
+  // In-flight 3D file downloads keyed by URL, so preloads and selections share one request
+  const downloads = new Map();
 
-  // Track currently visible material objects per application
-  const activeMaterialObjects = new Map();
+  // Cache Storage names already pruned of older versions during this page load
+  const prunedFileStores = new Set();
 
-  // Debounce timer for rapid selections
-  let debounceTimer = null;
+  // Live configurator instances (each owns its scene caches and selections, see createSession)
+  const instances = new Set();
 
   // ============================================================================
-  // UTILITY FUNCTIONS
+  // MODULES
   // ============================================================================
+  //
+  // The self-contained parts live in their own files (vectary-utils.js, vectary-catalog.js,
+  // vectary-i18n.js, vectary-rules.js, vectary-pricing.js, vectary-snapshot.js, vectary-spec-sheet.js,
+  // vectary-saved-configurations.js), loaded through vectary-modules.js before this file.
+
+  const { requireModule } = typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js');
+
+  const {
+    debugLog,
+    wait,
+    withTimeout,
+    createEmitter,
+    normalizeString,
+    getObjectId,
+    downloadBlob,
+    ConfiguratorError,
+    CsvLoadError,
+    FileFetchError,
+    MaterialImportError,
+    MaterialMatchError,
+    ApplyError,
+    ApiConnectError,
+    VariantNotFoundError,
+    InputError,
+    RuleViolationError,
+    toConfiguratorError,
+    reportError,
+    describeError,
+  } = requireModule('vectary-utils');
+  const {
+    loadMaterialsCsv,
+    loadVariantsCsv,
+    scopeVariantsToProduct,
+    humanizeToken,
+    buildCatalog,
+    getMatchingStrategy,
+    matchMaterial,
+    resolveMaterialFileUrl,
+    buildObjectIndex,
+    isVariantApplication,
+    isCompositeOption,
+    toPartKey,
+    parseSelectionKey,
+    getSplitParts,
+    getPartOption,
+    getEffectiveSelection,
+    isKnownSelection,
+    groupPartsByOption,
+    getPartTitle,
+    findSplitApplications,
+    validateCatalog,
+    collectSceneNames,
+  } = requireModule('vectary-catalog');
+  const { resolveLocale, getLocaleCandidates, createTranslator, translateStaticText } = requireModule('vectary-i18n');
+  const { resolveSelection, findRuleViolations } = requireModule('vectary-rules');
+  const { calculatePrice, formatPrice, getSessionQuote, updatePriceSummary } = requireModule('vectary-pricing');
+  const { buildSnapshotCaption, captureViews, loadImage, composeSnapshot } = requireModule('vectary-snapshot');
+  const { buildBillOfMaterials, toBomCsv, renderSpecSheetHtml, printSpecSheet } = requireModule('vectary-spec-sheet');
+  const {
+    restoreSavedConfigurations,
+    findSavedConfiguration,
+    saveConfiguration,
+    deleteSavedConfiguration,
+    exportSavedConfigurations,
+    importSavedConfigurations,
+    compareConfigurations,
+    renderComparison,
+    renderSavedPanel,
+  } = requireModule('vectary-saved-configurations');
 
-  /**
-   * Debug logging utility (only logs when debug flag is set)
-   */
-  function debugLog(config, ...args) {
-    if (config && config.debug) {
-      // eslint-disable-next-line no-console
-      console.log('[VectarySimple]', ...args);
-    }
-  }
+  // ============================================================================
+  // VECTARY API INITIALIZATION
+  // ============================================================================
+  //
+  // config.api: { scriptUrl, fallbackUrls, timeout, retries, backoff, sceneTimeout, reconnectInterval }
+  // The Vectary script comes first, then the fallbacks (e.g. a self-hosted copy); each URL gets
+  // 1 + retries attempts, pausing backoff ms before the first retry and twice as long before each next one;
+  // a URL whose script fails to load moves straight on to the next one.
+  // An attempt (import and init) fails after timeout ms. When every attempt failed the configurator runs
+  // in degraded mode: options, price and quote work without the 3D view, which reconnects every
+  // reconnectInterval ms (or when the customer tries again) and then catches up with the selections.
+
+  const DEFAULT_API_SCRIPT_URL = 'https://www.vectary.com/studio-lite/scripts/api.js';
 
   /**
-   * Debounce function to prevent rapid-fire operations
+   * config.api with its defaults (times in milliseconds)
    */
-  function debounce(func, delay) {
-    return function (...args) {
-      clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(() => func.apply(this, args), delay);
-    };
+  function getApiOptions(config) {
+    return Object.assign(
+      {
+        scriptUrl: DEFAULT_API_SCRIPT_URL,
+        fallbackUrls: [],
+        timeout: 15000,
+        retries: 2,
+        backoff: 1000,
+        sceneTimeout: 20000,
+        reconnectInterval: 30000,
+      },
+      config && config.api
+    );
   }
 
+  // Numbers the callbacks through which module <script> tags hand over the API module
+  let apiScriptCount = 0;
+
   /**
-   * Normalize string for comparison (lowercase, remove spaces/underscores)
+   * The VctrModelApi class: window.VctrModelApi when the page provides it, otherwise the module at url
+   * A <script type="module"> imports the module and hands it over; a tag that failed to load is removed
    */
-  function normalizeString(str) {
-    return (str || '').toString().toLowerCase().replace(/[_\s]/g, '');
+  function loadApiClass(url) {
+    if (window.VctrModelApi) return Promise.resolve(window.VctrModelApi);
+    return new Promise((resolve, reject) => {
+      const callbackName = `__vectaryApiLoaded${++apiScriptCount}`;
+      const script = document.createElement('script');
+      const cleanUp = () => {
+        delete window[callbackName];
+        script.remove();
+      };
+      window[callbackName] = mod => {
+        cleanUp();
+        const Api = mod && (mod.VctrModelApi || (mod.default && mod.default.VctrModelApi));
+        if (Api) {
+          resolve(Api);
+        } else {
+          reject(new Error(`Failed to obtain VctrModelApi from ${url}`));
+        }
+      };
+      script.type = 'module';
+      script.addEventListener('error', () => {
+        cleanUp();
+        reject(new Error(`Failed to load the Vectary API from ${url}`));
+      });
+      script.textContent = `import * as mod from ${JSON.stringify(url)};\nwindow.${callbackName}(mod);`;
+      (document.head || document.documentElement).appendChild(script);
+    });
   }
 
   /**
-   * Get object ID from various possible properties
+   * Release a VctrModelApi instance nobody will use (a timed-out attempt that connected late)
+   * Only possible when the API class offers dispose() or destroy(); otherwise it is just dropped
    */
-  function getObjectId(obj) {
-    return obj && (obj.id || obj.uuid || obj.objectId || obj.instanceId);
+  function disposeModelApi(api) {
+    const dispose = api && (api.dispose || api.destroy);
+    if (typeof dispose !== 'function') return;
+    Promise.resolve()
+      .then(() => dispose.call(api))
+      .catch(err => debugLog({ debug: true }, 'Failed to dispose a superseded Vectary API instance', err));
   }
 
-  // ============================================================================
-  // CSV PARSING
-  // ============================================================================
-
   /**
-   * Parse CSV text into array of objects
-   * Supports quoted fields and commas inside quotes
+   * Initialize the Vectary Model API for the given iframe id, trying each script URL with retries
+   * Rejects with an ApiConnectError once every attempt failed or timed out
    */
-  function parseCsv(text) {
-    const rows = [];
-    let current = [];
-    let value = '';
-    let inQuotes = false;
-
-    function endValue() {
-      current.push(value);
-      value = '';
-    }
-
-    function endRow() {
-      if (inQuotes) return;
-      endValue();
-      if (current.length && current.some(v => v !== '')) {
-        rows.push(current);
+  async function initVectaryApi(iframeId, config) {
+    const options = getApiOptions(config);
+    const urls = window.VctrModelApi ? ['window.VctrModelApi'] : [options.scriptUrl, ...options.fallbackUrls].filter(Boolean);
+    let attempts = 0;
+    let lastError = null;
+    // A timed-out attempt keeps running; only the attempt holding the current token may connect
+    let currentToken = null;
+
+    for (const url of urls) {
+      for (let attempt = 0; attempt <= options.retries; attempt++) {
+        if (attempt) {
+          await wait(options.backoff * 2 ** (attempt - 1));
+        }
+        attempts++;
+        debugLog(config, 'Connecting to the Vectary API', url, `attempt ${attempt + 1}`);
+        const token = {};
+        currentToken = token;
+        let scriptFailed = false;
+        const loading = loadApiClass(url).catch(err => {
+          scriptFailed = true;
+          throw err;
+        });
+        try {
+          const modelApi = await withTimeout(
+            loading.then(async Api => {
+              if (currentToken !== token) throw new Error('Superseded Vectary API attempt');
+              const api = new Api(iframeId);
+              await api.init();
+              if (currentToken !== token) {
+                debugLog(config, 'Dropping a Vectary API attempt that connected after it timed out', url);
+                disposeModelApi(api);
+                throw new Error('Superseded Vectary API attempt');
+              }
+              return api;
+            }),
+            options.timeout,
+            `The Vectary API did not respond within ${options.timeout} ms`
+          );
+          currentToken = null;
+          debugLog(config, 'Vectary API initialized');
+          return modelApi;
+        } catch (err) {
+          currentToken = null;
+          lastError = err;
+          debugLog(config, 'Vectary API attempt failed', url, err);
+          // The browser keeps a module that failed to load failed for the page; only the next URL can help
+          if (scriptFailed) break;
+        }
       }
-      current = [];
     }
 
-    for (let i = 0; i < text.length; i++) {
-      const ch = text[i];
-      const next = text[i + 1];
+    throw new ApiConnectError(
+      `Unable to connect to the Vectary API: ${lastError ? lastError.message : 'no script URL'}`,
+      { urls, attempts },
+      { cause: lastError }
+    );
+  }
 
-      if (ch === '"') {
-        if (inQuotes && next === '"') {
-          value += '"';
-          i++;
-        } else {
-          inQuotes = !inQuotes;
-        }
-      } else if (ch === ',' && !inQuotes) {
-        endValue();
-      } else if ((ch === '\n' || ch === '\r') && !inQuotes) {
-        if (ch === '\r' && next === '\n') {
-          i++;
-        }
-        endRow();
-      } else {
-        value += ch;
-      }
+  /**
+   * Wait for the product's scene (at most api.sceneTimeout), connect to the API and read the scene
+   * Resolves to { modelApi, objects, configState }; fails with an ApiConnectError
+   */
+  async function connectScene(session) {
+    const { config } = session;
+    const options = getApiOptions(config);
+    const iframe = typeof document !== 'undefined' && document.getElementById(session.iframeId);
+    if (iframe) {
+      // A scene that is slow to report "load" may still answer the API
+      await withTimeout(loadProductScene(session, iframe), options.sceneTimeout, 'Scene load timed out').catch(err =>
+        debugLog(config, 'Connecting before the scene reported it loaded', err)
+      );
     }
 
-    if (value.length || current.length) {
-      endValue();
-      if (current.length && current.some(v => v !== '')) {
-        rows.push(current);
-      }
+    const modelApi = await initVectaryApi(session.iframeId, config);
+    try {
+      const [objects, configState] = await withTimeout(
+        Promise.all([modelApi.getObjects(), modelApi.getConfigurationState()]),
+        options.timeout,
+        `The Vectary scene did not respond within ${options.timeout} ms`
+      );
+      return { modelApi, objects, configState };
+    } catch (err) {
+      disposeModelApi(modelApi);
+      throw toConfiguratorError(err, ApiConnectError, {});
     }
+  }
 
-    if (!rows.length) return [];
-    const headers = rows[0].map(h => h.trim());
-    const dataRows = rows.slice(1);
-    return dataRows.map(cols => {
-      const obj = {};
-      headers.forEach((h, idx) => {
-        obj[h] = (cols[idx] || '').trim();
-      });
-      return obj;
-    });
+  /**
+   * Use a connected scene: index its objects and detect the options it shows
+   */
+  function adoptScene(session, scene) {
+    session.modelApi = scene.modelApi;
+    session.objectIndex = buildObjectIndex(scene.objects);
+    session.sceneSelections = detectSceneSelections(session.mapping, session.variantsData, session.objectIndex, scene.configState);
+    debugLog(session.config, 'Initial objects index', session.objectIndex);
   }
 
   /**
-   * Load and parse materials CSV into a map keyed by material name
+   * Try to reconnect after api.reconnectInterval ms while the session runs without the 3D view
    */
-  async function loadMaterialsCsv(url) {
-    const res = await fetch(url, { cache: 'no-cache' });
-    if (!res.ok) {
-      throw new Error(`Failed to load materials CSV: ${res.status} ${res.statusText}`);
-    }
-    const text = await res.text();
-    const rows = parseCsv(text);
-    const byName = new Map();
-    rows.forEach(row => {
-      if (row.name) {
-        byName.set(row.name, row);
+  function scheduleReconnect(session) {
+    const { reconnectInterval } = getApiOptions(session.config);
+    clearTimeout(session.reconnectTimer);
+    if (session.destroyed || session.modelApi || !(reconnectInterval > 0)) return;
+    session.reconnectTimer = setTimeout(() => reconnectScene(session), reconnectInterval);
+  }
+
+  /**
+   * Leave degraded mode: connect to the scene and bring it to the current selections in one batch
+   * Resolves to whether the 3D view is connected; concurrent calls share one attempt
+   */
+  function reconnectScene(session) {
+    if (session.destroyed || session.modelApi) return Promise.resolve(!!session.modelApi);
+    if (session.reconnecting) return session.reconnecting;
+    clearTimeout(session.reconnectTimer);
+
+    session.reconnecting = (async () => {
+      let scene;
+      try {
+        scene = await connectScene(session);
+      } catch (err) {
+        debugLog(session.config, 'Reconnecting to the 3D view failed', err);
+        scheduleReconnect(session);
+        return false;
+      }
+      if (session.destroyed) return false;
+
+      await runExclusive(session, async () => {
+        const chosen = new Map(session.selections);
+        adoptScene(session, scene);
+        session.selections.clear();
+        session.sceneSelections.forEach((optionLabel, applicationName) => session.selections.set(applicationName, optionLabel));
+        try {
+          await applySelectionBatch(session, new Map([...session.sceneSelections, ...chosen]), 'reconnect');
+        } catch (err) {
+          // The controls show what the scene shows instead
+          reportError(session, err, { stage: 'reconnect' });
+          showFailure(session, err);
+          syncSelectControls(session);
+          refreshOptionAvailability(session);
+          updatePriceSummary(session);
+        }
+      });
+      clearDegradedNotice(session);
+      if (session.panel) {
+        showSuccessMessage(session.i18n.t('status.reconnected'), session.panel);
       }
+      session.emitter.emit('connection', { connected: true });
+      debugLog(session.config, 'Reconnected to the 3D view');
+      return true;
+    })().finally(() => {
+      session.reconnecting = null;
     });
-    return { rows, byName };
+    return session.reconnecting;
   }
 
   // ============================================================================
-  // VECTARY API INITIALIZATION
+  // PRODUCTS AND SCENES
   // ============================================================================
+  //
+  // Each row of the variants CSV is a product with its own Vectary scene (scene_id column),
+  // variant switchers and materials (the products column of the materials CSV).
+  // config.mappings holds per-product mapping overrides; config.mapping is the fallback.
+
+  const DEFAULT_SCENE_URL = 'https://www.vectary.com/p/{sceneId}';
 
   /**
-   * Initialize the Vectary Model API for the given iframe id
+   * Product to configure: a known product from the shared link, then config.product, then the first CSV row
    */
-  async function initVectaryApi(iframeId, config) {
-    let modelApi;
-    let initPromise;
-
-    if (window.VctrModelApi) {
-      debugLog(config, 'Using existing window.VctrModelApi');
-      modelApi = new window.VctrModelApi(iframeId);
-      initPromise = modelApi.init();
-    } else {
-      debugLog(config, 'Importing Vectary API module');
-      initPromise = import('https://www.vectary.com/studio-lite/scripts/api.js')
-        .then(mod => {
-          const Api = mod && (mod.VctrModelApi || (mod.default && mod.default.VctrModelApi));
-          if (!Api) {
-            throw new Error('Failed to obtain VctrModelApi from Vectary module');
-          }
-          modelApi = new Api(iframeId);
-          return modelApi.init();
-        });
-    }
-
-    await initPromise;
-    debugLog(config, 'Vectary API initialized');
-    return modelApi;
+  function resolveProductName(config, variantsData) {
+    const linked = config.syncUrl && isBrowser ? getHashProduct(window.location.hash) : '';
+    if (linked && variantsData.byProduct.has(linked)) return linked;
+    return config.product || (variantsData.rows[0] && variantsData.rows[0].name) || '';
   }
 
-  // ============================================================================
-  // OBJECT MANAGEMENT
-  // ============================================================================
+  /**
+   * Mapping overrides for a product
+   */
+  function resolveProductMapping(config, productName) {
+    return (config.mappings && config.mappings[productName]) || config.mapping || null;
+  }
 
   /**
-   * Recursively flatten Vectary object hierarchy into a simple array
-   * Handles nested API responses where objects can have `children`
+   * Viewer URL for a Vectary scene id (config.sceneUrlTemplate overrides the public viewer)
    */
-  function flattenObjectsRecursively(objects, flat) {
-    const list = flat || [];
-    (objects || []).forEach(obj => {
-      if (!obj) return;
-      list.push(obj);
-      if (Array.isArray(obj.children) && obj.children.length) {
-        flattenObjectsRecursively(obj.children, list);
-      }
-    });
-    return list;
+  function getSceneUrl(config, sceneId) {
+    return (config.sceneUrlTemplate || DEFAULT_SCENE_URL).replace('{sceneId}', encodeURIComponent(sceneId));
   }
 
   /**
-   * Build an index from object name → array of objects (handles nested trees)
+   * Point the iframe at the product's scene and wait until it has loaded
+   * Products without a scene_id keep the iframe's current scene
    */
-  function buildObjectIndex(objects) {
-    const flatObjects = flattenObjectsRecursively(objects || []);
-    const byName = new Map();
-    flatObjects.forEach(obj => {
-      const name = (obj && obj.name) || '';
-      if (!name) return;
-      const list = byName.get(name) || [];
-      list.push(obj);
-      byName.set(name, list);
+  async function loadProductScene(session, iframe) {
+    const productRow = session.variantsData.byProduct.get(session.productName) || {};
+    const previousProduct = iframe.getAttribute('data-vectary-product');
+    iframe.setAttribute('data-vectary-product', session.productName);
+    if (!productRow.scene_id) return;
+
+    const url = getSceneUrl(session.config, productRow.scene_id);
+    // Reload after another product used the iframe so its imported objects go away with the old scene
+    if (iframe.src === url && (!previousProduct || previousProduct === session.productName)) return;
+
+    debugLog(session.config, 'Loading scene for', session.productName, url);
+    await new Promise(resolve => {
+      const onLoad = () => {
+        iframe.removeEventListener('load', onLoad);
+        resolve();
+      };
+      iframe.addEventListener('load', onLoad);
+      iframe.src = url;
     });
-    return byName;
   }
 
+  // ============================================================================
+  // OBJECT MANAGEMENT
+  // ============================================================================
+
   /**
    * Hide objects by their IDs
    */
@@ -240,123 +422,222 @@
     }
   }
 
+  /**
+   * Whether the model API can delete objects from the scene
+   * (deleteObjects is not part of every VctrModelApi release)
+   */
+  function canRemoveObjects(modelApi) {
+    return Boolean(modelApi) && typeof modelApi.deleteObjects === 'function';
+  }
+
+  /**
+   * Delete objects from the scene by their IDs
+   */
+  async function removeObjects(modelApi, objectIds) {
+    if (!objectIds || !objectIds.length) return;
+    await modelApi.deleteObjects(objectIds);
+  }
+
   // ============================================================================
-  // MATERIAL MATCHING
+  // 3D FILE LOADING (WITH CACHING)
   // ============================================================================
 
   /**
-   * Find a material matching target info from imported object
-   * Uses multi-tier matching strategy for robustness
+   * Name of the Cache Storage bucket for 3D files, or null when persistence is off or unsupported
+   * Bumping config.cache.version moves to a new bucket; older buckets are deleted
+   */
+  function getFileStoreName(config) {
+    const cacheConfig = Object.assign({ persist: true, version: '1' }, config && config.cache);
+    if (!cacheConfig.persist || typeof caches === 'undefined') return null;
+    return `vectary-files-v${cacheConfig.version}`;
+  }
+
+  /**
+   * Delete Cache Storage buckets left by other cache versions
    */
-  function findMatchingMaterial(importedObject, targetName, targetColor) {
-    if (!importedObject || !importedObject.materials || !importedObject.materials.length) {
-      return null;
+  async function pruneFileStores(storeName) {
+    if (!storeName || prunedFileStores.has(storeName)) return;
+    prunedFileStores.add(storeName);
+    try {
+      const names = await caches.keys();
+      await Promise.all(
+        names.filter(name => name.startsWith('vectary-files-') && name !== storeName).map(name => caches.delete(name))
+      );
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.warn('[VectarySimple] Unable to prune cached 3D files', err);
     }
+  }
 
-    const materials = importedObject.materials;
-    const targetNorm = normalizeString(targetName);
+  /**
+   * Read a response body into a blob, reporting (loaded, total) as chunks arrive
+   */
+  async function readBlobWithProgress(res, onProgress) {
+    const headers = res.headers && typeof res.headers.get === 'function' ? res.headers : null;
+    const total = Number(headers && headers.get('content-length')) || 0;
+
+    if (!res.body || typeof res.body.getReader !== 'function') {
+      const blob = await res.blob();
+      onProgress(blob.size, blob.size);
+      return blob;
+    }
 
-    // Tier 1: Exact name match
-    let match = materials.find(m => m.name === targetName);
-    if (match) return match;
+    const reader = res.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.length;
+      onProgress(loaded, total);
+    }
+    return new Blob(chunks, { type: (headers && headers.get('content-type')) || '' });
+  }
 
-    // Tier 2: Normalized match
-    match = materials.find(m => normalizeString(m.name) === targetNorm);
-    if (match) return match;
+  /**
+   * Fetch a 3D file from the persistent store or the network and keep it in fileCache
+   */
+  async function downloadFile(fileUrl, storeName, download) {
+    const report = (loaded, total) => {
+      download.loaded = loaded;
+      download.total = total;
+      download.listeners.forEach(listener => listener(loaded, total));
+    };
 
-    // Tier 3: Partial / suffix match
-    match = materials.find(m => {
-      const n = (m.name || '').toLowerCase();
-      const t = (targetName || '').toLowerCase();
-      return n.endsWith(t) || n.includes(t) || t.includes(n);
-    });
-    if (match) return match;
+    if (storeName) {
+      try {
+        const cached = await (await caches.open(storeName)).match(fileUrl);
+        if (cached) {
+          const blob = await cached.blob();
+          report(blob.size, blob.size);
+          fileCache.set(fileUrl, blob);
+          return blob;
+        }
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn('[VectarySimple] Unable to read cached 3D file', fileUrl, err);
+      }
+    }
 
-    // Tier 4: Color property match
-    if (targetColor) {
-      const colorLower = normalizeString(targetColor);
-      match = materials.find(m => {
-        const mc = normalizeString(m.color);
-        return mc === colorLower;
+    let res;
+    let blob;
+    try {
+      res = await fetch(fileUrl);
+      if (res.ok) blob = await readBlobWithProgress(res, report);
+    } catch (err) {
+      throw new FileFetchError(`Failed to fetch 3D file: ${fileUrl} (${err.message})`, { fileUrl }, { cause: err });
+    }
+    if (!res.ok) {
+      throw new FileFetchError(`Failed to fetch 3D file: ${fileUrl} (${res.status} ${res.statusText})`, {
+        fileUrl,
+        status: res.status,
       });
-      if (match) return match;
     }
+    fileCache.set(fileUrl, blob);
+
+    if (storeName) {
+      caches
+        .open(storeName)
+        .then(cache => cache.put(fileUrl, new Response(blob, { headers: { 'content-type': blob.type || 'model/vctr3' } })))
+        .catch(err => {
+          // eslint-disable-next-line no-console
+          console.warn('[VectarySimple] Unable to persist 3D file', fileUrl, err);
+        });
+    }
+    return blob;
+  }
 
-    // Tier 5: Short token match (e.g., "Corde4_pumpkin" → "pumpkin")
-    if (targetColor && targetColor.includes('_')) {
-      const shortToken = targetColor.split('_').pop().toLowerCase();
-      match = materials.find(m => {
-        const n = (m.name || '').toLowerCase();
-        return n.includes(shortToken);
-      });
-      if (match) return match;
+  /**
+   * Get the blob for a 3D file: memory cache, then persistent store, then network
+   * Concurrent callers share one download; onProgress(loaded, total) follows it
+   */
+  function fetchMaterialFile(session, fileUrl, onProgress) {
+    if (fileCache.has(fileUrl)) {
+      debugLog(session.config, 'Using cached file blob for', fileUrl);
+      return Promise.resolve(fileCache.get(fileUrl));
     }
 
-    return null;
-  }
+    let download = downloads.get(fileUrl);
+    if (!download) {
+      const storeName = getFileStoreName(session.config);
+      download = { loaded: 0, total: 0, listeners: new Set() };
+      download.promise = pruneFileStores(storeName)
+        .then(() => downloadFile(fileUrl, storeName, download))
+        .finally(() => downloads.delete(fileUrl));
+      downloads.set(fileUrl, download);
+    }
 
-  // ============================================================================
-  // 3D FILE LOADING (WITH CACHING)
-  // ============================================================================
+    if (onProgress) {
+      const listeners = download.listeners;
+      listeners.add(onProgress);
+      onProgress(download.loaded, download.total);
+      return download.promise.finally(() => listeners.delete(onProgress));
+    }
+    return download.promise;
+  }
 
   /**
    * Load a 3D file specified by CSV row and return the imported object
    * Implements caching to avoid re-loading the same file
    */
-  async function loadMaterialObject(modelApi, csvRow, config) {
-    const fileUrlFromDb = csvRow.download_link || csvRow._3d_file || '';
-    if (!fileUrlFromDb) {
-      throw new Error(`No download_link or _3d_file specified for material: ${csvRow.name || ''}`);
-    }
-
-    // Normalize file URL
-    let fileUrl = fileUrlFromDb;
-    if (!fileUrl.includes('://') && !fileUrl.startsWith('./')) {
-      fileUrl = './vectary/3d_files/' + fileUrl;
+  async function loadMaterialObject(session, csvRow) {
+    const { modelApi, objectCache, config } = session;
+    const fileUrl = resolveMaterialFileUrl(csvRow);
+    if (!fileUrl) {
+      throw new MaterialImportError(`No download_link or _3d_file specified for material: ${csvRow.name || ''}`, {
+        material: csvRow.name || '',
+      }, { retryable: false });
     }
 
-    // Check cache first
+    // Check cache first (re-inserting keeps objectCache in least-recently-used order)
     if (objectCache.has(fileUrl)) {
       debugLog(config, 'Using cached object for material', csvRow.name);
-      return objectCache.get(fileUrl);
+      const cached = objectCache.get(fileUrl);
+      objectCache.delete(fileUrl);
+      objectCache.set(fileUrl, cached);
+      return cached;
     }
 
     debugLog(config, 'Loading 3D file for material', csvRow.name, 'from', fileUrl);
+    const material = humanizeToken(csvRow.name || '');
 
-    // Get objects before import
-    const beforeObjects = await modelApi.getObjects();
-    const beforeIds = new Set(beforeObjects.map(getObjectId).filter(Boolean));
+    let imported;
+    try {
+      // Fetch file (memory cache, persistent store or network)
+      const blob = await fetchMaterialFile(session, fileUrl, (loaded, total) => {
+        reportLoadProgress(session, fileUrl, { stage: 'download', material, loaded, total });
+      });
 
-    // Fetch file (check cache first)
-    let blob;
-    if (fileCache.has(fileUrl)) {
-      debugLog(config, 'Using cached file blob for', fileUrl);
-      blob = fileCache.get(fileUrl);
-    } else {
-      const res = await fetch(fileUrl);
-      if (!res.ok) {
-        throw new Error(`Failed to fetch 3D file: ${fileUrl} (${res.status} ${res.statusText})`);
-      }
-      blob = await res.blob();
-      fileCache.set(fileUrl, blob);
-    }
+      // Get objects before import
+      const beforeObjects = await modelApi.getObjects();
+      const beforeIds = new Set(beforeObjects.map(getObjectId).filter(Boolean));
 
-    // Create file object
-    const filename = csvRow._3d_file || (csvRow.name ? `${csvRow.name}.vctr3` : 'material.vctr3');
-    const file = new File([blob], filename, { type: blob.type || 'model/vctr3' });
+      // Create file object
+      const filename = csvRow._3d_file || (csvRow.name ? `${csvRow.name}.vctr3` : 'material.vctr3');
+      const file = new File([blob], filename, { type: blob.type || 'model/vctr3' });
 
-    // Import into Vectary
-    await modelApi.importFiles(file, 2);
+      // Import into Vectary
+      reportLoadProgress(session, fileUrl, { stage: 'import', material, loaded: blob.size, total: blob.size });
+      await modelApi.importFiles(file, 2);
 
-    // Find the newly imported object
-    const afterObjects = await modelApi.getObjects();
-    const imported = afterObjects.find(o => {
-      const id = getObjectId(o);
-      return id && !beforeIds.has(id);
-    });
+      // Find the newly imported object
+      const afterObjects = await modelApi.getObjects();
+      imported = afterObjects.find(o => {
+        const id = getObjectId(o);
+        return id && !beforeIds.has(id);
+      });
+    } catch (err) {
+      throw toConfiguratorError(err, MaterialImportError, { fileUrl, material: csvRow.name || '' });
+    } finally {
+      reportLoadProgress(session, fileUrl, null);
+    }
 
     if (!imported) {
-      throw new Error(`Imported object not found after importing file: ${fileUrl}`);
+      throw new MaterialImportError(`Imported object not found after importing file: ${fileUrl}`, {
+        fileUrl,
+        material: csvRow.name || '',
+      });
     }
 
     // Cache the imported object
@@ -366,76 +647,233 @@
     return imported;
   }
 
+  /**
+   * Record that parts ("app/objectName") now use the object imported from fileUrl, releasing their previous ones
+   */
+  function retainMaterialObject(session, partKeys, fileUrl) {
+    session.objectUsers.forEach((users, url) => {
+      if (url !== fileUrl) partKeys.forEach(key => users.delete(key));
+    });
+    if (!session.objectUsers.has(fileUrl)) {
+      session.objectUsers.set(fileUrl, new Set());
+    }
+    partKeys.forEach(key => session.objectUsers.get(fileUrl).add(key));
+  }
+
+  /**
+   * Remove least recently used imported objects that no part uses
+   * until at most config.cache.maxResidentObjects remain in the scene.
+   * Without deleteObjects nothing can be removed: the objects stay cached (and hidden) so they are
+   * at least reused instead of imported again, and a warning is logged once per session.
+   */
+  async function evictMaterialObjects(session) {
+    const { objectCache, objectUsers, modelApi, config } = session;
+    const limit = Object.assign({ maxResidentObjects: 8 }, config.cache).maxResidentObjects;
+    if (objectCache.size <= limit) return;
+
+    if (!canRemoveObjects(modelApi)) {
+      if (!session.evictionUnsupported) {
+        session.evictionUnsupported = true;
+        // eslint-disable-next-line no-console
+        console.warn(
+          `[VectarySimple] The Vectary model API cannot delete objects; ${objectCache.size} imported material objects ` +
+            `stay in the scene (cache.maxResidentObjects ${limit} is not enforced)`
+        );
+      }
+      return;
+    }
+
+    for (const [fileUrl, object] of Array.from(objectCache)) {
+      if (objectCache.size <= limit) break;
+      const users = objectUsers.get(fileUrl);
+      if (users && users.size) continue;
+
+      await removeObjects(modelApi, [getObjectId(object)].filter(Boolean));
+      objectCache.delete(fileUrl);
+      objectUsers.delete(fileUrl);
+      debugLog(config, 'Evicted imported material object', fileUrl);
+    }
+  }
+
+  // ============================================================================
+  // FILE PRELOADING
+  // ============================================================================
+
+  /**
+   * 3D file URLs behind an application's material options (optionally only some options)
+   */
+  function collectMaterialFiles(session, applicationName, optionLabels) {
+    const { mapping, materialsData, variantsData } = session;
+    if (isVariantApplication(mapping, applicationName, variantsData)) return [];
+
+    const appMaterials = (mapping.materials && mapping.materials[applicationName]) || {};
+    const urls = [];
+    (optionLabels || Object.keys(appMaterials)).forEach(optionLabel => {
+      const materialMapping = appMaterials[optionLabel];
+      const csvRow = materialMapping && materialsData.byName.get(materialMapping.name);
+      const fileUrl = csvRow && resolveMaterialFileUrl(csvRow);
+      if (fileUrl && !urls.includes(fileUrl)) urls.push(fileUrl);
+    });
+    return urls;
+  }
+
+  /**
+   * Warm fileCache for a list of files, one at a time; failures only surface when the file is selected
+   */
+  async function preloadFiles(session, fileUrls) {
+    for (const fileUrl of fileUrls) {
+      if (session.destroyed) return;
+      if (fileCache.has(fileUrl)) continue;
+      try {
+        await fetchMaterialFile(session, fileUrl);
+        debugLog(session.config, 'Preloaded 3D file', fileUrl);
+      } catch (err) {
+        debugLog(session.config, 'Preloading failed for', fileUrl, err);
+      }
+    }
+  }
+
+  /**
+   * Preload strategy (config.preload): eager-load the files behind the current or first option
+   * of every material application, prefetch the rest when the browser is idle,
+   * and warm an application's files when its control is hovered or focused
+   */
+  function startPreloading(session) {
+    const options = Object.assign({ defaults: true, idle: true, hover: true }, session.config.preload);
+    const { mapping, container } = session;
+    const applicationNames = Object.values(mapping.applications || {});
+
+    if (options.defaults) {
+      const defaults = [];
+      applicationNames.forEach(applicationName => {
+        const optionLabel = session.selections.get(applicationName) || Object.keys(mapping.materials[applicationName] || {})[0];
+        if (optionLabel) defaults.push(...collectMaterialFiles(session, applicationName, [optionLabel]));
+      });
+      preloadFiles(session, defaults);
+    }
+
+    if (options.idle) {
+      const rest = [];
+      applicationNames.forEach(applicationName => rest.push(...collectMaterialFiles(session, applicationName)));
+      const requestIdle = typeof requestIdleCallback === 'function' ? requestIdleCallback : cb => setTimeout(cb, 2000);
+      const cancelIdle = typeof cancelIdleCallback === 'function' ? cancelIdleCallback : clearTimeout;
+      const handle = requestIdle(() => preloadFiles(session, rest));
+      session.cleanup.push(() => cancelIdle(handle));
+    }
+
+    if (options.hover && container) {
+      const onHover = event => {
+        const section = event.target.closest && event.target.closest('.field.option');
+        if (!section || !container.contains(section)) return;
+        preloadFiles(session, collectMaterialFiles(session, section.getAttribute('data-option_id')));
+      };
+      container.addEventListener('pointerover', onHover);
+      container.addEventListener('focusin', onHover);
+      session.cleanup.push(() => {
+        container.removeEventListener('pointerover', onHover);
+        container.removeEventListener('focusin', onHover);
+      });
+    }
+  }
+
   // ============================================================================
   // MATERIAL APPLICATION
   // ============================================================================
 
   /**
-   * Apply a material to all configured objects for an application
-   * Manages object visibility and caching
+   * Look up the materials CSV row behind a material option; context identifies it in errors
    */
-  async function applyMaterial(modelApi, mapping, objectIndex, applicationName, optionLabel, materialsData, config) {
+  function resolveMaterialOption(session, applicationName, optionLabel) {
+    const { mapping, materialsData } = session;
+    const context = { application: applicationName, option: optionLabel };
     const appMaterials = (mapping.materials && mapping.materials[applicationName]) || null;
     if (!appMaterials) {
-      throw new Error(`No materials mapping found for application: ${applicationName}`);
+      throw new ApplyError(`No materials mapping found for application: ${applicationName}`, context, { retryable: false });
     }
 
     const materialMapping = appMaterials[optionLabel];
     if (!materialMapping) {
-      throw new Error(`No material mapping found for option "${optionLabel}" in application "${applicationName}"`);
+      throw new ApplyError(`No material mapping found for option "${optionLabel}" in application "${applicationName}"`, context, {
+        retryable: false,
+      });
     }
 
     const csvName = materialMapping.name;
     const csvColor = materialMapping.color;
     const csvRow = materialsData.byName.get(csvName);
+    Object.assign(context, { material: csvName, color: csvColor });
 
     if (!csvRow) {
-      throw new Error(`Material name "${csvName}" not found in materials CSV`);
+      throw new ApplyError(`Material name "${csvName}" not found in materials CSV`, context, { retryable: false });
+    }
+    return { csvName, csvColor, csvRow, context };
+  }
+
+  /**
+   * Apply a material to all configured objects for an application, or only to partNames
+   * Manages object visibility and caching
+   */
+  async function applyMaterial(session, applicationName, optionLabel, partNames) {
+    const { modelApi, mapping, objectIndex, activeMaterialObjects, partMaterialObjects, config } = session;
+    const { csvName, csvColor, csvRow, context } = resolveMaterialOption(session, applicationName, optionLabel);
+
+    // Get target object names (all of them, or only the given parts)
+    const objectNames = (mapping.objectNames && mapping.objectNames[applicationName]) || [];
+    const targetObjectNames = objectNames.filter(name => !partNames || partNames.includes(name));
+    if (!targetObjectNames.length) {
+      throw new ApplyError(`No target object names defined for application "${applicationName}"`, context, { retryable: false });
     }
+    const partKeys = targetObjectNames.map(name => toPartKey(applicationName, name));
 
-    // Hide previous material objects for this application
-    const previousObjects = activeMaterialObjects.get(applicationName);
-    if (previousObjects && previousObjects.length) {
-      const previousIds = previousObjects.map(getObjectId).filter(Boolean);
+    // Hide the previous material objects of these parts, unless another part still shows them
+    const previousObjects = new Set(partKeys.map(key => partMaterialObjects.get(key)).filter(Boolean));
+    partMaterialObjects.forEach((obj, key) => {
+      if (!partKeys.includes(key)) previousObjects.delete(obj);
+    });
+    if (previousObjects.size) {
+      const previousIds = Array.from(previousObjects).map(getObjectId).filter(Boolean);
       await hideObjects(modelApi, previousIds);
-      debugLog(config, 'Hid previous material objects for', applicationName);
+      debugLog(config, 'Hid previous material objects for', applicationName, targetObjectNames);
     }
 
     // Load the material object (cached if already loaded)
-    const importedObject = await loadMaterialObject(modelApi, csvRow, config);
+    const fileUrl = resolveMaterialFileUrl(csvRow);
+    let importedObject;
+    try {
+      importedObject = await loadMaterialObject(session, csvRow);
+    } catch (err) {
+      throw toConfiguratorError(err, MaterialImportError, context);
+    }
 
     // Find matching material
-    let matchedMaterial = findMatchingMaterial(importedObject, csvColor || csvName, csvColor);
-    if (!matchedMaterial) {
-      if (importedObject.materials && importedObject.materials.length) {
-        matchedMaterial = importedObject.materials[0];
-        debugLog(
-          config,
-          'No exact material match found for',
-          csvName,
-          csvColor,
-          '– falling back to first material:',
-          matchedMaterial
-        );
-      } else {
-        throw new Error(`No matching material found in imported object for "${csvName}" (${csvColor || ''})`);
-      }
+    const strategy = getMatchingStrategy(mapping, applicationName);
+    const report = matchMaterial(importedObject, { name: csvColor || csvName, color: csvColor }, strategy);
+    session.matchReports.set(
+      `${applicationName}:${optionLabel}`,
+      Object.assign({ application: applicationName, option: optionLabel, file: fileUrl }, report)
+    );
+    debugLog(config, 'Material match for', applicationName, optionLabel, report);
+    if (!report.material) {
+      throw new MaterialMatchError(
+        `No matching material found in imported object for "${csvName}" (${csvColor || ''}): ${report.error}`,
+        Object.assign({ fileUrl, report }, context)
+      );
     }
-
-    // Get target object names
-    const targetObjectNames = (mapping.objectNames && mapping.objectNames[applicationName]) || [];
-    if (!targetObjectNames.length) {
-      throw new Error(`No target object names defined for application "${applicationName}"`);
+    const matchedMaterial = report.material;
+    if (report.fallback) {
+      debugLog(config, 'No material match found for', csvName, csvColor, '– falling back to first material:', matchedMaterial);
     }
 
     // Apply material to all target objects
     let appliedCount = 0;
+    // Strict applications never swap in another material
     const defaultMaterial =
-      importedObject && importedObject.materials && importedObject.materials.length
+      !strategy.strict && importedObject && importedObject.materials && importedObject.materials.length
         ? importedObject.materials[0]
         : matchedMaterial;
 
     const appliedObjectIds = [];
+    let lastError = null;
 
     for (const name of targetObjectNames) {
       const objs = objectIndex.get(name) || [];
@@ -448,6 +886,7 @@
           appliedCount++;
           appliedObjectIds.push(id);
         } catch (e) {
+          lastError = e;
           debugLog(config, 'addOrEditMaterial failed for id', id, 'with matched material, trying default', e);
           if (defaultMaterial && defaultMaterial !== matchedMaterial) {
             try {
@@ -455,6 +894,7 @@
               appliedCount++;
               appliedObjectIds.push(id);
             } catch (e2) {
+              lastError = e2;
               // eslint-disable-next-line no-console
               console.error('Failed to apply both matched and default material for object', id, e2);
             }
@@ -464,13 +904,23 @@
     }
 
     if (!appliedCount) {
-      throw new Error(
-        `Failed to apply material for application "${applicationName}". See earlier console errors from Vectary.`
+      throw new ApplyError(
+        `Failed to apply material for application "${applicationName}"${lastError ? `: ${lastError.message}` : ''}`,
+        Object.assign({ fileUrl, objects: targetObjectNames }, context),
+        { cause: lastError }
       );
     }
 
-    // Store active objects for this application
-    activeMaterialObjects.set(applicationName, [importedObject]);
+    // Store active objects per part and per application, then drop imported objects nothing uses anymore
+    partKeys.forEach(key => partMaterialObjects.set(key, importedObject));
+    const shownObjects = new Set(objectNames.map(name => partMaterialObjects.get(toPartKey(applicationName, name))).filter(Boolean));
+    activeMaterialObjects.set(applicationName, Array.from(shownObjects));
+    retainMaterialObject(session, partKeys, fileUrl);
+    try {
+      await evictMaterialObjects(session);
+    } catch (err) {
+      debugLog(config, 'Failed to evict imported material objects', err);
+    }
 
     debugLog(config, 'Applied material', matchedMaterial, 'to', appliedCount, 'objects for application', applicationName);
   }
@@ -480,178 +930,2542 @@
   // ============================================================================
 
   /**
-   * Apply a variant selection (e.g., Lift height, Armrest)
-   * Uses mapping.materials[applicationName][optionLabel].color as variant value
+   * Apply the variant part of a selection (e.g., Lift height, Armrest, the base geometry)
+   * Variant applications use mapping.materials[applicationName][optionLabel].color as variant value;
+   * composite options list theirs in entry.variants. Values must be active_object values from the variants CSV
+   * Returns the number of configuration entries changed; a variant missing from the scene's state is an ApplyError
+   */
+  async function applyVariant(session, applicationName, optionLabel) {
+    const { modelApi, config } = session;
+    const changes = resolveVariantChanges(session, applicationName, optionLabel);
+
+    // Read current configuration state
+    const currentState = (await modelApi.getConfigurationState()) || [];
+    const updatedState = Array.isArray(currentState) ? currentState.slice() : [];
+
+    const matchedCount = rewriteVariantChanges(updatedState, changes, applicationName, optionLabel);
+    if (!matchedCount) return 0;
+
+    debugLog(config, 'Applying variants', changes, 'for application', applicationName, 'on', matchedCount, 'config entries');
+
+    await modelApi.setConfigurationState(updatedState);
+    return matchedCount;
+  }
+
+  /**
+   * Look up and validate the variant switches behind an option: [{ variant, value }]
+   * Empty for plain material options
    */
-  async function applyVariant(modelApi, mapping, objectIndex, applicationName, optionLabel, config) {
+  function resolveVariantChanges(session, applicationName, optionLabel) {
+    const { mapping, variantsData } = session;
+    const context = { application: applicationName, option: optionLabel };
     const appMaterials = (mapping.materials && mapping.materials[applicationName]) || null;
     if (!appMaterials) {
-      throw new Error(`No variant mapping found for application: ${applicationName}`);
+      throw new VariantNotFoundError(`No variant mapping found for application: ${applicationName}`, context);
     }
 
     const variantMapping = appMaterials[optionLabel];
     if (!variantMapping) {
-      throw new Error(`No variant mapping found for option "${optionLabel}" in application "${applicationName}"`);
+      throw new VariantNotFoundError(`No variant mapping found for option "${optionLabel}" in application "${applicationName}"`, context);
     }
 
-    // The variant value should match the child object names in the switcher
-    const variantValue = variantMapping.color || variantMapping.name || optionLabel;
-    const targetObjectNames = (mapping.objectNames && mapping.objectNames[applicationName]) || [];
-
-    if (!targetObjectNames.length) {
-      throw new Error(`No variant object names defined for application "${applicationName}" in mapping.`);
+    let changes;
+    if (isVariantApplication(mapping, applicationName, variantsData)) {
+      // The variant value should match the child object names in the switcher
+      const variantValue = variantMapping.color || variantMapping.name || optionLabel;
+      changes = ((mapping.objectNames && mapping.objectNames[applicationName]) || []).map(variant => ({ variant, value: variantValue }));
+    } else {
+      changes = Object.entries(variantMapping.variants || {}).map(([variant, value]) => ({ variant, value }));
     }
 
-    // Read current configuration state
-    const currentState = (await modelApi.getConfigurationState()) || [];
-    const updatedState = Array.isArray(currentState) ? currentState.slice() : [];
-
-    let matchedCount = 0;
-
-    // Update variant configs
-    updatedState.forEach(entry => {
-      if (!entry) return;
-
-      const variantName = entry.variant;
-      if (variantName && targetObjectNames.includes(variantName)) {
-        entry.active_object = variantValue;
-        if (entry.active_object_instanceId) {
-          delete entry.active_object_instanceId;
-        }
-        matchedCount++;
+    changes.forEach(({ variant: variantName, value }) => {
+      const variant = variantsData.variants.get(variantName);
+      if (variant && variant.values.length && !variant.values.includes(value)) {
+        throw new VariantNotFoundError(
+          `Variant value "${value}" is not a valid active_object for "${variantName}" (expected one of: ${variant.values.join(', ')})`,
+          Object.assign({ variant: variantName, value }, context)
+        );
       }
     });
 
-    if (!matchedCount) {
-      debugLog(
-        config,
-        'No existing variant configs matched for application',
-        applicationName,
-        'targetObjectNames',
-        targetObjectNames,
-        'currentState',
-        currentState
-      );
-      return;
-    }
-
-    debugLog(config, 'Applying variant', variantValue, 'for application', applicationName, 'on', matchedCount, 'config entries');
-
-    await modelApi.setConfigurationState(updatedState);
+    return changes;
   }
 
-  // ============================================================================
-  // APPLICATION TYPE DETECTION
-  // ============================================================================
-
   /**
-   * Determine if an application should be treated as a variant instead of a material
+   * Apply a composite option: new variant geometry and its material in one step
+   * The material is downloaded and imported before the geometry changes, and the previous
+   * configuration state is put back when the material still fails
    */
-  function isVariantApplication(applicationName) {
-    const variants = ['lift', 'fabric_armrest'];
-    return variants.includes((applicationName || '').toLowerCase());
+  async function applyCompositeOption(session, applicationName, optionLabel) {
+    const { modelApi, config } = session;
+    const { csvRow, context } = resolveMaterialOption(session, applicationName, optionLabel);
+    try {
+      await loadMaterialObject(session, csvRow);
+    } catch (err) {
+      throw toConfiguratorError(err, MaterialImportError, context);
+    }
+
+    const previousState = (await modelApi.getConfigurationState()) || [];
+    const changed = await applyVariant(session, applicationName, optionLabel);
+    try {
+      await applyMaterial(session, applicationName, optionLabel);
+    } catch (err) {
+      if (changed) {
+        try {
+          await modelApi.setConfigurationState(previousState);
+        } catch (restoreErr) {
+          debugLog(config, 'Failed to restore the configuration state after', applicationName, optionLabel, restoreErr);
+        }
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Point the configuration entries at the values of an option's variant changes; returns the number of entries changed
+   * A variant the scene has no entry for fails like a material without target objects instead of showing nothing
+   */
+  function rewriteVariantChanges(state, changes, applicationName, optionLabel) {
+    return changes.reduce((count, change) => {
+      const matched = rewriteVariantEntries(state, [change.variant], change.value);
+      if (!matched) {
+        throw new ApplyError(
+          `The scene has no configuration entry for variant "${change.variant}" of option "${optionLabel}" in application "${applicationName}"`,
+          { application: applicationName, option: optionLabel, variant: change.variant, value: change.value },
+          { retryable: false }
+        );
+      }
+      return count + matched;
+    }, 0);
+  }
+
+  /**
+   * Point the configuration entries of the target variants at a value; returns the number of entries changed
+   */
+  function rewriteVariantEntries(state, targetObjectNames, variantValue) {
+    let matchedCount = 0;
+    state.forEach(entry => {
+      if (!entry) return;
+
+      const variantName = entry.variant;
+      if (variantName && targetObjectNames.includes(variantName)) {
+        entry.active_object = variantValue;
+        if (entry.active_object_instanceId) {
+          delete entry.active_object_instanceId;
+        }
+        matchedCount++;
+      }
+    });
+    return matchedCount;
+  }
+
+  // ============================================================================
+  // DEFAULTS AND SCENE STATE
+  // ============================================================================
+
+  /**
+   * Work out which option the scene currently shows for each application
+   * Variants are read from the configuration state; materials from the material on the target objects,
+   * and only when every target object agrees and exactly one option matches it (composite options
+   * also have to agree with the configuration state)
+   */
+  function detectSceneSelections(mapping, variantsData, objectIndex, configState) {
+    const detected = new Map();
+
+    Object.values(mapping.applications || {}).forEach(applicationName => {
+      const options = (mapping.materials && mapping.materials[applicationName]) || {};
+      const targetObjectNames = (mapping.objectNames && mapping.objectNames[applicationName]) || [];
+      let matches = [];
+
+      if (isVariantApplication(mapping, applicationName, variantsData)) {
+        const entry = (configState || []).find(e => e && targetObjectNames.includes(e.variant));
+        if (entry) {
+          matches = Object.keys(options).filter(
+            label => options[label].name === entry.variant && normalizeString(options[label].color) === normalizeString(entry.active_object)
+          );
+        }
+      } else {
+        const sceneMaterials = new Set();
+        targetObjectNames.forEach(name => {
+          (objectIndex.get(name) || []).forEach(obj => {
+            const material = obj.material || (obj.materials && obj.materials[0]);
+            if (material && material.name) sceneMaterials.add(normalizeString(material.name));
+          });
+        });
+        if (sceneMaterials.size === 1) {
+          const [sceneMaterial] = sceneMaterials;
+          matches = Object.keys(options).filter(label => normalizeString(options[label].color) === sceneMaterial);
+        }
+        // Composite options sharing a material differ in the variants they switch
+        matches = matches.filter(label =>
+          Object.entries(options[label].variants || {}).every(([variantName, value]) => {
+            const entry = (configState || []).find(e => e && e.variant === variantName);
+            return !entry || normalizeString(entry.active_object) === normalizeString(value);
+          })
+        );
+      }
+
+      if (matches.length === 1) {
+        detected.set(applicationName, matches[0]);
+      }
+    });
+
+    return detected;
+  }
+
+  /**
+   * Selections a reset returns to: the declared defaults over what the scene showed on startup
+   */
+  function getDefaultSelections(session) {
+    const defaults = new Map(session.sceneSelections);
+    Object.entries(session.mapping.defaults || {}).forEach(([applicationName, optionLabel]) => {
+      defaults.set(applicationName, optionLabel);
+    });
+    return defaults;
+  }
+
+  // ============================================================================
+  // SHAREABLE URL STATE
+  // ============================================================================
+
+  // Hash parameter naming the product when the configurator offers several
+  const PRODUCT_HASH_PARAM = 'product';
+
+  /**
+   * Serialize selections into a URL hash (e.g. "#fabric_seat=Vanir...&lift=Tall")
+   * Applications (each followed by its parts) are written in mapping order so equal selections give equal URLs;
+   * productName, when given, comes first ("#product=Freedom_headrest&lift=Tall")
+   */
+  function serializeSelections(selectionMap, mapping, productName) {
+    const params = new URLSearchParams();
+    if (productName) {
+      params.set(PRODUCT_HASH_PARAM, productName);
+    }
+    const order = [];
+    Object.values((mapping && mapping.applications) || {}).forEach(applicationName => {
+      order.push(applicationName, ...getSplitParts(mapping, applicationName).map(part => toPartKey(applicationName, part)));
+    });
+    const names = order.concat(Array.from(selectionMap.keys()).filter(name => !order.includes(name)));
+    names.forEach(name => {
+      const optionLabel = selectionMap.get(name);
+      if (optionLabel) {
+        params.set(name, optionLabel);
+      }
+    });
+    const query = params.toString();
+    return query ? `#${query}` : '';
+  }
+
+  /**
+   * Read selections from a URL hash and keep only those known to mapping.materials (and mapping.parts)
+   */
+  function parseSelectionsFromHash(hash, mapping, config) {
+    const result = new Map();
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const materials = (mapping && mapping.materials) || {};
+
+    params.forEach((optionLabel, key) => {
+      if (key === PRODUCT_HASH_PARAM) return;
+      const { application: applicationName, part } = parseSelectionKey(key);
+      if (!materials[applicationName] || (part && !getSplitParts(mapping, applicationName).includes(part))) {
+        debugLog(config, 'Ignoring unknown application in URL:', key);
+        return;
+      }
+      if (!isKnownSelection(mapping, key, optionLabel)) {
+        debugLog(config, 'Ignoring unknown option in URL:', key, optionLabel);
+        return;
+      }
+      result.set(key, optionLabel);
+    });
+
+    return result;
+  }
+
+  /**
+   * Product named in a URL hash ('' when absent)
+   */
+  function getHashProduct(hash) {
+    return new URLSearchParams((hash || '').replace(/^#/, '')).get(PRODUCT_HASH_PARAM) || '';
+  }
+
+  /**
+   * Product to name in shareable URLs: only needed once the CSV lists several products
+   */
+  function getLinkedProduct(session) {
+    return session.variantsData && session.variantsData.byProduct.size > 1 ? session.productName : '';
+  }
+
+  /**
+   * History entry state: the complete selections, so back/forward restores them exactly
+   * (the hash of the first entry may be empty or only name some applications)
+   */
+  function getHistoryState(session) {
+    return { vectarySelections: true, product: session.productName, selections: Array.from(session.selections) };
+  }
+
+  /**
+   * Push the current selections as a new browser history entry
+   * Only the instance created with syncUrl owns the URL
+   */
+  function pushSelectionsToHistory(session) {
+    if (!session.config.syncUrl) return;
+    const hash = serializeSelections(session.selections, session.mapping, getLinkedProduct(session));
+    if (hash === window.location.hash || (!hash && !window.location.hash)) return;
+    const url = window.location.pathname + window.location.search + hash;
+    window.history.pushState(getHistoryState(session), '', url);
+  }
+
+  /**
+   * Selections a history entry stands for: its recorded state, else what its hash names
+   */
+  function getHistorySelections(session, state) {
+    if (state && state.vectarySelections && state.product === session.productName && Array.isArray(state.selections)) {
+      return new Map(state.selections);
+    }
+    return parseSelectionsFromHash(window.location.hash, session.mapping, session.config);
+  }
+
+  /**
+   * Move to the selections of the history entry the browser went back or forward to
+   * Applications the entry does not name go back to their default option, so a shorter entry does not
+   * keep later choices; without a default they keep the current one (the scene cannot drop a material)
+   */
+  function restoreHistoryEntry(session, state) {
+    return runExclusive(session, () => {
+      const targetSelections = getHistorySelections(session, state);
+      const defaults = getDefaultSelections(session);
+      session.selections.forEach((optionLabel, key) => {
+        // Parts the entry does not split follow their application's option
+        if (targetSelections.has(key) || parseSelectionKey(key).part) return;
+        targetSelections.set(key, defaults.has(key) ? defaults.get(key) : optionLabel);
+      });
+      return applySelectionBatch(session, targetSelections, 'history');
+    });
+  }
+
+  // ============================================================================
+  // UNDO / REDO
+  // ============================================================================
+  //
+  // Each change the customer makes is one step: a selection together with the choices the rules made
+  // for it, a reset, a loaded configuration or linking parts. A step lists
+  // { application, option, previous } per changed application or part.
+  // Undo and redo go through applySelectionBatch, so the controls, price and URL follow.
+
+  // Steps kept per session; the oldest ones are dropped first
+  const MAX_UNDO_STEPS = 50;
+  // Changes that are not the customer's own steps (startup, links, browser navigation, reconnecting, undo itself)
+  const UNTRACKED_SOURCES = ['default', 'url', 'history', 'reconnect', 'undo', 'redo'];
+
+  /**
+   * Record what changed since `before` as one undo step and forget the redo steps
+   * An application without a previous option has nothing to go back to; a part goes back to following it
+   */
+  function recordUndoStep(session, before, source) {
+    if (UNTRACKED_SOURCES.includes(source)) return;
+    const { selections } = session;
+    const changes = [];
+    new Set([...before.keys(), ...selections.keys()]).forEach(key => {
+      const previous = before.get(key);
+      const optionLabel = selections.get(key);
+      if (previous === optionLabel || (previous === undefined && !parseSelectionKey(key).part)) return;
+      changes.push({ application: key, option: optionLabel, previous });
+    });
+    if (!changes.length) return;
+
+    session.undoStack.push(changes);
+    if (session.undoStack.length > MAX_UNDO_STEPS) {
+      session.undoStack.shift();
+    }
+    session.redoStack = [];
+    updateUndoButtons(session);
+  }
+
+  /**
+   * Undo the latest step or redo the latest undone one; resolves to false when there is none
+   * The step only moves to the other stack once the scene shows it, so a failed undo can be retried
+   */
+  async function moveThroughUndoHistory(session, direction) {
+    const undo = direction === 'undo';
+    const stack = undo ? session.undoStack : session.redoStack;
+    const step = stack[stack.length - 1];
+    if (!step) return false;
+
+    const target = new Map(session.selections);
+    (undo ? step.slice().reverse() : step).forEach(change => {
+      const optionLabel = undo ? change.previous : change.option;
+      if (optionLabel === undefined) {
+        target.delete(change.application);
+      } else {
+        target.set(change.application, optionLabel);
+      }
+    });
+    await applySelectionBatch(session, target, direction);
+
+    stack.pop();
+    (undo ? session.redoStack : session.undoStack).push(step);
+    updateUndoButtons(session);
+    return true;
+  }
+
+  // ============================================================================
+  // QUOTE / CART EXPORT
+  // ============================================================================
+
+  /**
+   * Build the canonical quote payload for the current selections
+   * Materials resolve to their CSV name/color/type, variants to their active_object values
+   * (composite options list both); split applications also list the option of every part
+   */
+  function buildQuotePayload(session) {
+    const { mapping, materialsData, variantsData, selections } = session;
+    const options = [];
+    const missing = [];
+
+    Object.keys(mapping.applications || {}).forEach(title => {
+      const applicationName = mapping.applications[title];
+      const optionLabel = selections.get(applicationName);
+      if (!optionLabel) {
+        missing.push(title);
+        return;
+      }
+
+      const entry = mapping.materials[applicationName][optionLabel];
+      const item = { application: applicationName, title, option: optionLabel };
+      if (isVariantApplication(mapping, applicationName, variantsData)) {
+        item.variants = (mapping.objectNames[applicationName] || [])
+          .filter(variantName => variantsData.variants.has(variantName))
+          .map(variantName => ({ variant: variantName, active_object: entry.color }));
+      } else {
+        const row = materialsData.byName.get(entry.name) || {};
+        item.material = { name: entry.name, color: entry.color, type: row.type || '' };
+        if (entry.variants) {
+          item.variants = Object.entries(entry.variants).map(([variantName, value]) => ({ variant: variantName, active_object: value }));
+        }
+        if (findSplitApplications(mapping, selections).has(applicationName)) {
+          item.parts = (mapping.objectNames[applicationName] || []).map(partName => {
+            const partOption = getPartOption(selections, applicationName, partName);
+            const partEntry = mapping.materials[applicationName][partOption];
+            const partRow = materialsData.byName.get(partEntry.name) || {};
+            return {
+              part: partName,
+              option: partOption,
+              material: { name: partEntry.name, color: partEntry.color, type: partRow.type || '' },
+            };
+          });
+        }
+      }
+      options.push(item);
+    });
+
+    return {
+      product: session.productName,
+      options,
+      missing,
+      price: getSessionQuote(session),
+      shareUrl: isBrowser ? window.location.origin + window.location.pathname + serializeSelections(selections, mapping, getLinkedProduct(session)) : '',
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Flatten a quote payload into the Magento-style form fields the option markup mimics
+   */
+  function toQuoteFormFields(payload) {
+    const fields = [
+      ['product', payload.product],
+      ['qty', '1'],
+    ];
+    payload.options.forEach(item => {
+      fields.push([`options[${item.application}]`, item.option]);
+      (item.parts || []).forEach(part => {
+        fields.push([`options[${item.application}][${part.part}]`, part.option]);
+      });
+    });
+    if (payload.price) {
+      fields.push(['price[total]', String(payload.price.total)]);
+      fields.push(['price[currency]', payload.price.currency]);
+    }
+    return fields;
+  }
+
+  /**
+   * Send the quote payload to config.quote.endpoint
+   * format "form" submits the options[...] fields (navigates, like add-to-cart);
+   * format "json" POSTs the payload; without an endpoint the payload is downloaded as JSON
+   */
+  async function submitQuote(session) {
+    const quoteConfig = session.config.quote || {};
+    const payload = buildQuotePayload(session);
+
+    if (payload.missing.length && quoteConfig.requireAll !== false) {
+      const missing = payload.missing.map(title => session.i18n.application(session.mapping.applications[title], title));
+      throw new InputError(session.i18n.t('quote.missing', { applications: missing.join(', ') }), { applications: payload.missing });
+    }
+    if (quoteConfig.attachSnapshot && quoteConfig.format !== 'form') {
+      payload.image = (await takeSnapshot(session)).dataUrl;
+    }
+    session.emitter.emit('quote', payload);
+
+    if (!quoteConfig.endpoint) {
+      const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `${payload.product || 'configuration'}-quote.json`);
+      return { payload, delivered: 'download' };
+    }
+
+    if (quoteConfig.format === 'form') {
+      const form = document.createElement('form');
+      form.method = 'POST';
+      form.action = quoteConfig.endpoint;
+      form.style.display = 'none';
+      toQuoteFormFields(payload).forEach(([name, value]) => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = value;
+        form.appendChild(input);
+      });
+      document.body.appendChild(form);
+      form.submit();
+      return { payload, delivered: 'form' };
+    }
+
+    const res = await fetch(quoteConfig.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) {
+      throw new Error(`Quote request failed: ${res.status} ${res.statusText}`);
+    }
+    return { payload, delivered: 'json', response: res };
+  }
+
+  /**
+   * Wire the "Request quote / Add to cart" button
+   */
+  function bindQuoteButton(session) {
+    const button = session.quoteButton;
+    if (!button) return;
+
+    const onClick = async () => {
+      button.disabled = true;
+      try {
+        const result = await submitQuote(session);
+        if (result.delivered !== 'form') {
+          showSuccessMessage(session.i18n.t(result.delivered === 'download' ? 'quote.downloaded' : 'quote.sent'), session.panel);
+        }
+      } catch (err) {
+        reportError(session, err, { stage: 'quote' });
+        showFailure(session, err);
+      } finally {
+        button.disabled = false;
+      }
+    };
+
+    button.addEventListener('click', onClick);
+    button.disabled = false;
+    session.cleanup.push(() => button.removeEventListener('click', onClick));
+  }
+
+  // ============================================================================
+  // SNAPSHOT EXPORT
+  // ============================================================================
+
+  /**
+   * Capture the configured chair from one or more cameras with a caption of the selected options
+   * options: { cameras: [cameraName], settleMs } (defaults from config.snapshot); waits for a loading scene
+   * Returns { blob, dataUrl, caption, cameras }
+   */
+  async function takeSnapshot(session, options) {
+    const opts = Object.assign({ cameras: [], settleMs: 400 }, session.config.snapshot, options);
+    await session.readyPromise;
+
+    // Queued behind pending selections, so the capture shows the final configuration
+    const cameras = opts.cameras.length ? opts.cameras : [null];
+    const shots = await runExclusive(session, async () => {
+      if (session.destroyed) {
+        throw new Error('Configurator has been destroyed.');
+      }
+      if (!session.modelApi) {
+        throw new ApiConnectError('The 3D view is not connected', {});
+      }
+      return captureViews(session.modelApi, cameras, opts.settleMs, opts.restoreCamera);
+    });
+
+    const caption = buildSnapshotCaption(session);
+    const images = await Promise.all(shots.map(loadImage));
+    const { blob, dataUrl } = await composeSnapshot(images, caption);
+    return { blob, dataUrl, caption, cameras: cameras.filter(Boolean) };
+  }
+
+  /**
+   * Wire the "Download image" button
+   */
+  function bindSnapshotButton(session) {
+    const button = session.snapshotButton;
+    if (!button) return;
+
+    const onClick = async () => {
+      button.disabled = true;
+      try {
+        const snapshot = await takeSnapshot(session);
+        downloadBlob(snapshot.blob, `${session.productName || 'configuration'}.png`);
+      } catch (err) {
+        reportError(session, err, { stage: 'snapshot' });
+        showFailure(session, err, { fallbackKey: 'snapshot.failed' });
+      } finally {
+        button.disabled = false;
+      }
+    };
+
+    button.addEventListener('click', onClick);
+    button.disabled = false;
+    session.cleanup.push(() => button.removeEventListener('click', onClick));
+  }
+
+  // ============================================================================
+  // SPEC SHEET / BILL OF MATERIALS
+  // ============================================================================
+
+  /**
+   * Bill of materials for the current selections (see vectary-spec-sheet.js)
+   */
+  function getBillOfMaterials(session) {
+    return buildBillOfMaterials(session.mapping, buildQuotePayload(session));
+  }
+
+  /**
+   * Show the spec sheet in printWindow and open the print dialog; without a window (pop-up blocked)
+   * the page is downloaded instead. The product image is left out when the view cannot be captured.
+   * Returns { bom, html, delivered: 'print' | 'download' }
+   */
+  async function openSpecSheet(session, printWindow) {
+    const bom = getBillOfMaterials(session);
+    let imageUrl = '';
+    try {
+      imageUrl = (await takeSnapshot(session)).dataUrl;
+    } catch (err) {
+      debugLog(session.config, 'Spec sheet without product image', err);
+    }
+    const html = renderSpecSheetHtml(session, bom, imageUrl);
+
+    if (!printWindow || printWindow.closed) {
+      downloadBlob(new Blob([html], { type: 'text/html' }), `${bom.product || 'configuration'}-spec-sheet.html`);
+      return { bom, html, delivered: 'download' };
+    }
+    printSpecSheet(printWindow, html);
+    return { bom, html, delivered: 'print' };
+  }
+
+  /**
+   * Download the bill of materials as "csv" or "json"
+   */
+  function downloadBillOfMaterials(session, format) {
+    const bom = getBillOfMaterials(session);
+    const filename = `${bom.product || 'configuration'}-bom`;
+    if (format === 'csv') {
+      downloadBlob(new Blob([toBomCsv(bom)], { type: 'text/csv' }), `${filename}.csv`);
+    } else {
+      downloadBlob(new Blob([JSON.stringify(bom, null, 2)], { type: 'application/json' }), `${filename}.json`);
+    }
+    return bom;
+  }
+
+  /**
+   * Wire the "Print spec sheet" button and the BOM download buttons ([data-bom-format] inside config.bomElement)
+   */
+  function bindSpecSheetControls(session) {
+    const button = session.specButton;
+    if (button) {
+      const onClick = async () => {
+        // Opened right away: browsers only allow pop-ups during the click itself
+        const printWindow = window.open('', '_blank');
+        button.disabled = true;
+        try {
+          const result = await openSpecSheet(session, printWindow);
+          if (result.delivered === 'download') {
+            showSuccessMessage(session.i18n.t('spec.downloaded'), session.panel);
+          }
+        } catch (err) {
+          if (printWindow) printWindow.close();
+          reportError(session, err, { stage: 'spec' });
+          showFailure(session, err, { fallbackKey: 'spec.failed' });
+        } finally {
+          button.disabled = false;
+        }
+      };
+      button.addEventListener('click', onClick);
+      button.disabled = false;
+      session.cleanup.push(() => button.removeEventListener('click', onClick));
+    }
+
+    const el = session.bomElement;
+    if (!el) return;
+    const onBomClick = event => {
+      const target = event.target.closest && event.target.closest('[data-bom-format]');
+      if (!target || !el.contains(target)) return;
+      try {
+        downloadBillOfMaterials(session, target.getAttribute('data-bom-format'));
+      } catch (err) {
+        reportError(session, err, { stage: 'bom' });
+        showFailure(session, err, { fallbackKey: 'spec.failed' });
+      }
+    };
+    el.addEventListener('click', onBomClick);
+    el.querySelectorAll('[data-bom-format]').forEach(bomButton => {
+      bomButton.disabled = false;
+    });
+    session.cleanup.push(() => {
+      el.removeEventListener('click', onBomClick);
+      el.querySelectorAll('[data-bom-format]').forEach(bomButton => {
+        bomButton.disabled = true;
+      });
+    });
+  }
+
+  // ============================================================================
+  // SAVED CONFIGURATIONS
+  // ============================================================================
+
+  /**
+   * Switch the scene and controls to a saved configuration (one batched update)
+   */
+  function loadSavedConfiguration(session, id) {
+    const record = findSavedConfiguration(session, id);
+    const selections = new Map(Object.entries(record.selections));
+    return runExclusive(session, () => applySelectionBatch(session, selections, 'saved'));
+  }
+
+  /**
+   * Render the panel and wire its actions
+   */
+  function bindSavedConfigurations(session) {
+    const el = session.savedElement;
+    if (!el) return;
+    renderSavedPanel(session);
+
+    const form = el.querySelector('.vectary-saved-form');
+    const fileInput = el.querySelector('input[type="file"]');
+    const compareEl = el.querySelector('.vectary-compare');
+    const locale = (session.config.pricing || {}).locale;
+
+    const run = async (action, fn) => {
+      try {
+        await fn();
+      } catch (err) {
+        reportError(session, err, { stage: 'saved', action });
+        showFailure(session, err);
+      }
+    };
+
+    const onSubmit = event => {
+      event.preventDefault();
+      run('save', () => {
+        const record = saveConfiguration(session, form.elements.name.value);
+        form.reset();
+        showSuccessMessage(session.i18n.t('saved.saved', { name: record.name }), session.panel);
+      });
+    };
+
+    const onClick = event => {
+      const button = event.target.closest && event.target.closest('button[data-action]');
+      if (!button || !el.contains(button)) return;
+      const item = button.closest('li[data-id]');
+      const id = item && item.getAttribute('data-id');
+
+      switch (button.getAttribute('data-action')) {
+        case 'load':
+          run('load', () => loadSavedConfiguration(session, id));
+          break;
+        case 'delete':
+          run('delete', () => deleteSavedConfiguration(session, id));
+          break;
+        case 'compare':
+          run('compare', () => {
+            const ids = Array.from(el.querySelectorAll('.vectary-saved-list input[type="checkbox"]:checked')).map(box => box.value);
+            renderComparison(compareEl, compareConfigurations(session, ids), locale, session.i18n);
+          });
+          break;
+        case 'export':
+          downloadBlob(
+            new Blob([exportSavedConfigurations(session)], { type: 'application/json' }),
+            `${session.productName || 'product'}-configurations.json`
+          );
+          break;
+        case 'import':
+          fileInput.click();
+          break;
+        default:
+          break;
+      }
+    };
+
+    const onFile = () => {
+      const file = fileInput.files && fileInput.files[0];
+      if (!file) return;
+      run('import', async () => {
+        const count = importSavedConfigurations(session, await file.text());
+        showSuccessMessage(session.i18n.t('saved.imported', { count }), session.panel);
+      }).finally(() => {
+        fileInput.value = '';
+      });
+    };
+
+    form.addEventListener('submit', onSubmit);
+    el.addEventListener('click', onClick);
+    fileInput.addEventListener('change', onFile);
+    session.cleanup.push(() => {
+      form.removeEventListener('submit', onSubmit);
+      el.removeEventListener('click', onClick);
+      fileInput.removeEventListener('change', onFile);
+      el.innerHTML = '';
+    });
+  }
+
+  // ============================================================================
+  // SELECTION SCHEDULING
+  // ============================================================================
+
+  /**
+   * Per-instance scheduler state: model API work runs one task at a time,
+   * and each application keeps at most one queued selection (the latest)
+   */
+  function createScheduler() {
+    return {
+      // Tail of the serialized task chain
+      chain: Promise.resolve(),
+      // Queued (not yet started) selection request per application
+      pending: new Map(),
+      // Selection request currently being applied per application
+      running: new Map(),
+    };
+  }
+
+  /**
+   * Run a task after all previously scheduled tasks; failures do not block later tasks
+   */
+  function runExclusive(session, task) {
+    const result = session.scheduler.chain.then(() => task());
+    session.scheduler.chain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Reflect whether an application has queued or running work on its control
+   */
+  function updatePendingState(session, applicationName) {
+    const { pending, running } = session.scheduler;
+    const busy = pending.has(applicationName) || running.has(applicationName);
+    const select = session.container && findSelectForApplication(session.container, applicationName);
+    if (!select) return;
+
+    select.setAttribute('aria-busy', busy ? 'true' : 'false');
+    const section = select.closest('.field.option');
+    if (section) {
+      section.classList.toggle('is-pending', busy);
+    }
+  }
+
+  /**
+   * Schedule a selection; rapid changes to one application coalesce into its latest choice
+   * Callers of coalesced requests share the promise of the request that applies the latest choice
+   */
+  function scheduleSelection(session, applicationName, optionLabel, source) {
+    const { pending, running } = session.scheduler;
+
+    const queued = pending.get(applicationName);
+    if (queued) {
+      queued.option = optionLabel;
+      queued.source = source;
+      return queued.promise;
+    }
+
+    // A newer choice supersedes the one being applied
+    const current = running.get(applicationName);
+    if (current) {
+      current.cancelled = true;
+    }
+
+    const request = { application: applicationName, option: optionLabel, source, cancelled: false };
+    pending.set(applicationName, request);
+    updatePendingState(session, applicationName);
+    session.emitter.emit('loading', { stage: 'selection', loading: true, application: applicationName, option: optionLabel });
+
+    request.promise = runExclusive(session, async () => {
+      pending.delete(applicationName);
+      running.set(applicationName, request);
+      try {
+        if (session.destroyed) {
+          throw new Error('Configurator has been destroyed.');
+        }
+        return await runSelectOption(session, request);
+      } finally {
+        running.delete(applicationName);
+        updatePendingState(session, applicationName);
+        if (!pending.has(applicationName)) {
+          session.emitter.emit('loading', {
+            stage: 'selection',
+            loading: false,
+            application: applicationName,
+            option: request.option,
+          });
+        }
+      }
+    });
+    return request.promise;
+  }
+
+  // ============================================================================
+  // UI HANDLING
+  // ============================================================================
+
+  /**
+   * Show a simple, non-intrusive error message in the UI panel
+   * With an action ({ label, run }) the message gets a button and stays until it is used or replaced
+   */
+  function showErrorMessage(message, panel, action) {
+    const ui = panel || document.getElementById('ui');
+    if (!ui) return;
+
+    let existing = ui.querySelector('.vectary-error');
+    if (!existing) {
+      existing = document.createElement('div');
+      existing.className = 'vectary-error';
+      existing.style.cssText =
+        'background: #fdecea; border-left: 4px solid #f44336; padding: 10px; margin-bottom: 15px; border-radius: 4px; font-size: 12px; color: #b71c1c;';
+      ui.insertBefore(existing, ui.children[1] || null);
+    }
+    existing.textContent = message;
+    clearTimeout(existing.vectaryHideTimer);
+    const remove = () => {
+      if (existing && existing.parentElement) {
+        existing.parentElement.removeChild(existing);
+      }
+    };
+
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'vectary-error-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        remove();
+        action.run();
+      });
+      existing.appendChild(document.createTextNode(' '));
+      existing.appendChild(button);
+      return;
+    }
+
+    // Auto-hide after 5 seconds
+    existing.vectaryHideTimer = setTimeout(remove, 5000);
+  }
+
+  /**
+   * Show the customer-facing message for an error, with a retry button when trying again can help
+   */
+  function showFailure(session, err, options) {
+    const { retry, fallbackKey, params } = options || {};
+    const typed = err instanceof ConfiguratorError;
+    const message =
+      !typed && fallbackKey
+        ? session.i18n.t(fallbackKey, Object.assign({ error: err && err.message }, params))
+        : describeError(err, session.i18n);
+    const action = retry && typed && err.retryable ? { label: session.i18n.t('error.retry'), run: retry } : null;
+    showErrorMessage(message, session.panel, action);
+  }
+
+  /**
+   * Show a success message (optional, for user feedback)
+   */
+  function showSuccessMessage(message, panel) {
+    const ui = panel || document.getElementById('ui');
+    if (!ui) return;
+
+    let existing = ui.querySelector('.vectary-success');
+    if (!existing) {
+      existing = document.createElement('div');
+      existing.className = 'vectary-success';
+      existing.style.cssText =
+        'background: #e8f5e9; border-left: 4px solid #4caf50; padding: 10px; margin-bottom: 15px; border-radius: 4px; font-size: 12px; color: #2e7d32;';
+      ui.insertBefore(existing, ui.children[1] || null);
+    }
+    existing.textContent = message;
+
+    setTimeout(() => {
+      if (existing && existing.parentElement) {
+        existing.parentElement.removeChild(existing);
+      }
+    }, 3000);
+  }
+
+  /**
+   * Show the 3D file loads a selection is waiting for (hidden when there are none)
+   */
+  function renderLoadProgress(el, loads, i18n) {
+    el.innerHTML = '';
+    el.hidden = !loads.size;
+
+    loads.forEach(load => {
+      const item = document.createElement('div');
+      item.className = 'vectary-progress-item';
+
+      const label = document.createElement('span');
+      const percent = load.total ? Math.round((load.loaded / load.total) * 100) : null;
+      if (load.stage === 'import') {
+        label.textContent = i18n.t('progress.importing', { material: load.material });
+      } else if (percent === null) {
+        label.textContent = i18n.t('progress.loading', { material: load.material });
+      } else {
+        label.textContent = i18n.t('progress.loadingPercent', { material: load.material, percent });
+      }
+      item.appendChild(label);
+
+      const bar = document.createElement('progress');
+      bar.max = 100;
+      if (load.stage === 'import') {
+        bar.value = 100;
+      } else if (percent !== null) {
+        bar.value = percent;
+      }
+      item.appendChild(bar);
+      el.appendChild(item);
+    });
+  }
+
+  /**
+   * Track a file load for the UI and emit a 'progress' event (null progress marks it done)
+   */
+  function reportLoadProgress(session, fileUrl, progress) {
+    if (progress) {
+      session.loadProgress.set(fileUrl, progress);
+    } else {
+      session.loadProgress.delete(fileUrl);
+    }
+    if (session.progressElement) {
+      renderLoadProgress(session.progressElement, session.loadProgress, session.i18n);
+    }
+    session.emitter.emit('progress', Object.assign({ url: fileUrl }, progress || { stage: 'done' }));
+  }
+
+  /**
+   * Generate one select control per application from the catalog mapping
+   * Controls stay disabled until the handlers are bound; idPrefix keeps ids unique per instance
+   * Applications listed in config.swatches (or, for true, those with swatch metadata) get a swatch grid
+   * that drives their select, which stays in the DOM as the source of truth
+   */
+  function renderOptionControls(session) {
+    const { container, mapping, idPrefix, i18n } = session;
+    const applications = mapping.applications || {};
+
+    Object.keys(applications).forEach(key => {
+      const applicationName = applications[key];
+      const applicationTitle = i18n.application(applicationName, key);
+      const section = document.createElement('div');
+      section.className = 'field option';
+      section.setAttribute('data-option_id', applicationName);
+
+      const label = document.createElement('label');
+      label.textContent = applicationTitle;
+      // Shown by the stylesheet while a selection for this application is pending
+      label.setAttribute('data-pending-label', i18n.t('option.applying'));
+      label.className = 'label';
+      section.appendChild(label);
+
+      const selectWrapper = document.createElement('div');
+      selectWrapper.className = 'control';
+
+      const select = createOptionSelect(session, applicationName);
+      selectWrapper.appendChild(select);
+      section.appendChild(selectWrapper);
+      container.appendChild(section);
+
+      if (usesSwatches(mapping, applicationName, session.config.swatches)) {
+        renderSwatchGrid(select, applicationTitle, mapping.materials[applicationName], i18n);
+      }
+      if (getSplitParts(mapping, applicationName).length) {
+        renderPartControls(session, section, applicationName, applicationTitle);
+      }
+    });
+  }
+
+  /**
+   * Select with an application's options; key is the application or a part key ("app/part")
+   */
+  function createOptionSelect(session, key) {
+    const { mapping, idPrefix, i18n } = session;
+    const { application: applicationName, part } = parseSelectionKey(key);
+
+    const select = document.createElement('select');
+    select.id = (idPrefix || '') + 'select_' + key;
+    select.name = part ? `options[${applicationName}][${part}]` : `options[${applicationName}]`;
+    select.className = 'required-entry product-custom-option';
+    select.setAttribute('data-application', key);
+    select.disabled = true;
+
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = i18n.t('option.placeholder');
+    select.appendChild(defaultOption);
+
+    Object.keys((mapping.materials && mapping.materials[applicationName]) || {}).forEach(optionLabel => {
+      const option = document.createElement('option');
+      option.value = optionLabel;
+      option.textContent = i18n.option(applicationName, optionLabel);
+      select.appendChild(option);
+    });
+    return select;
+  }
+
+  /**
+   * Add the "link parts" toggle and a hidden select per part to a split application's section
+   */
+  function renderPartControls(session, section, applicationName, title) {
+    const { mapping, i18n } = session;
+
+    const toggle = document.createElement('label');
+    toggle.className = 'vectary-parts-link';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.disabled = true;
+    checkbox.setAttribute('data-link-parts', applicationName);
+    toggle.appendChild(checkbox);
+    toggle.appendChild(document.createTextNode(' ' + i18n.t('parts.link')));
+    section.appendChild(toggle);
+
+    const list = document.createElement('div');
+    list.className = 'vectary-parts';
+    list.hidden = true;
+    getSplitParts(mapping, applicationName).forEach(partName => {
+      const field = document.createElement('div');
+      field.className = 'vectary-part';
+      field.setAttribute('data-part', partName);
+
+      const select = createOptionSelect(session, toPartKey(applicationName, partName));
+      const label = document.createElement('label');
+      label.className = 'label';
+      label.htmlFor = select.id;
+      label.textContent = i18n.part(applicationName, partName, mapping.parts[applicationName][partName]);
+      field.appendChild(label);
+
+      const control = document.createElement('div');
+      control.className = 'control';
+      control.appendChild(select);
+      field.appendChild(control);
+      list.appendChild(field);
+
+      if (usesSwatches(mapping, applicationName, session.config.swatches)) {
+        const partTitle = getPartTitle(i18n, applicationName, partName, title, mapping.parts[applicationName][partName]);
+        renderSwatchGrid(select, partTitle, mapping.materials[applicationName], i18n);
+      }
+    });
+    section.appendChild(list);
+  }
+
+  /**
+   * Show the part selects of split applications (or the single select of linked ones) with the option
+   * each part shows; without applicationName every application with parts is refreshed
+   */
+  function syncPartControls(session, applicationName) {
+    const { container, mapping, selections } = session;
+    if (!container) return;
+    if (applicationName === undefined) {
+      Object.values(mapping.applications || {}).forEach(name => syncPartControls(session, name));
+      return;
+    }
+
+    const parts = getSplitParts(mapping, applicationName);
+    const section =
+      parts.length &&
+      Array.from(container.querySelectorAll('.field.option')).find(el => el.getAttribute('data-option_id') === applicationName);
+    if (!section) return;
+
+    const split = session.splitApplications.has(applicationName);
+    section.querySelector('input[data-link-parts]').checked = !split;
+    section.querySelector('.vectary-parts').hidden = !split;
+    // The application's own select still matters for objects that cannot be split
+    const main = findSelectForApplication(container, applicationName);
+    if (main && main.parentElement) {
+      main.parentElement.hidden = split && parts.length === (mapping.objectNames[applicationName] || []).length;
+    }
+
+    parts.forEach(partName => {
+      const key = toPartKey(applicationName, partName);
+      const select = findSelectForApplication(container, key);
+      if (!select || session.scheduler.pending.has(key)) return;
+      select.value = getPartOption(selections, applicationName, partName);
+      syncSwatchGrid(select);
+    });
+  }
+
+  /**
+   * Whether an application is rendered as a swatch grid
+   */
+  function usesSwatches(mapping, applicationName, swatches) {
+    if (!swatches) return false;
+    if (Array.isArray(swatches) && !swatches.includes(applicationName)) return false;
+    const options = Object.values((mapping.materials && mapping.materials[applicationName]) || {});
+    return options.length > 0 && options.some(entry => entry.swatch || swatches !== true);
+  }
+
+  /**
+   * Replace a select with a keyboard-accessible grid of chips, grouped by material family
+   * The select is hidden but keeps its value and change events, so the rest of the UI is unchanged
+   */
+  function renderSwatchGrid(select, applicationTitle, options, i18n) {
+    const grid = document.createElement('div');
+    grid.className = 'vectary-swatches';
+    grid.setAttribute('role', 'radiogroup');
+    grid.setAttribute('aria-label', applicationTitle);
+
+    const groups = new Map();
+    Object.keys(options).forEach(optionLabel => {
+      const family = options[optionLabel].name || '';
+      if (!groups.has(family)) groups.set(family, []);
+      groups.get(family).push(optionLabel);
+    });
+
+    groups.forEach((optionLabels, family) => {
+      const group = document.createElement('div');
+      group.className = 'vectary-swatch-group';
+      // Family headings only help when families hold several options (fabrics, not single-color metals)
+      if (groups.size > 1 && groups.size < Object.keys(options).length) {
+        const heading = document.createElement('div');
+        heading.className = 'vectary-swatch-family';
+        heading.textContent = humanizeToken(family);
+        group.appendChild(heading);
+      }
+
+      const chips = document.createElement('div');
+      chips.className = 'vectary-swatch-chips';
+      optionLabels.forEach(optionLabel => {
+        const swatch = options[optionLabel].swatch || {};
+        const displayLabel = i18n.option(select.getAttribute('data-application'), optionLabel);
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'vectary-swatch';
+        chip.setAttribute('role', 'radio');
+        chip.setAttribute('data-value', optionLabel);
+        chip.setAttribute('aria-label', displayLabel);
+        if (swatch.image) {
+          chip.style.backgroundImage = `url("${swatch.image}")`;
+        }
+        if (swatch.color) {
+          chip.style.backgroundColor = swatch.color;
+        }
+        if (!swatch.image && !swatch.color) {
+          // No metadata: show the distinguishing end of the label ("Vanir (kvadrat) - 443" → "443")
+          chip.textContent = displayLabel.split(' - ').pop();
+        }
+        chips.appendChild(chip);
+      });
+      group.appendChild(chips);
+      grid.appendChild(group);
+    });
+
+    const chipFor = target => target.closest && target.closest('.vectary-swatch');
+    const choose = chip => {
+      if (!chip || chip.getAttribute('aria-disabled') === 'true' || select.disabled) return;
+      const optionLabel = chip.getAttribute('data-value');
+      if (select.value === optionLabel) return;
+      select.value = optionLabel;
+      syncSwatchGrid(select);
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    grid.addEventListener('click', event => choose(chipFor(event.target)));
+    grid.addEventListener('keydown', event => {
+      const chip = chipFor(event.target);
+      if (!chip) return;
+      const chipList = Array.from(grid.querySelectorAll('.vectary-swatch'));
+      const index = chipList.indexOf(chip);
+      let next = null;
+
+      switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+          next = chipList[(index + 1) % chipList.length];
+          break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          next = chipList[(index - 1 + chipList.length) % chipList.length];
+          break;
+        case 'Home':
+          next = chipList[0];
+          break;
+        case 'End':
+          next = chipList[chipList.length - 1];
+          break;
+        case 'Enter':
+        case ' ':
+          event.preventDefault();
+          choose(chip);
+          return;
+        default:
+          return;
+      }
+
+      // Arrow keys move focus only; Enter/Space applies, so browsing does not import every material
+      event.preventDefault();
+      chipList.forEach(item => item.setAttribute('tabindex', item === next ? '0' : '-1'));
+      next.focus();
+    });
+
+    select.hidden = true;
+    select.parentElement.insertBefore(grid, select);
+    syncSwatchGrid(select);
+  }
+
+  /**
+   * Mirror a select's value, disabled options and reasons onto its swatch grid
+   */
+  function syncSwatchGrid(select) {
+    const grid = select.parentElement && select.parentElement.querySelector('.vectary-swatches');
+    if (!grid) return;
+
+    const chips = Array.from(grid.querySelectorAll('.vectary-swatch'));
+    const options = Array.from(select.options);
+    chips.forEach(chip => {
+      const optionLabel = chip.getAttribute('data-value');
+      const option = options.find(item => item.value === optionLabel);
+      const unavailable = select.disabled || !option || option.disabled;
+      chip.setAttribute('aria-checked', select.value === optionLabel ? 'true' : 'false');
+      chip.setAttribute('aria-disabled', unavailable ? 'true' : 'false');
+      const displayLabel = chip.getAttribute('aria-label');
+      chip.title = option && option.title ? `${displayLabel} – ${option.title}` : displayLabel;
+    });
+
+    // Roving tabindex: the checked chip (or the first one) is the grid's tab stop
+    if (!chips.some(chip => chip === document.activeElement)) {
+      const current = chips.find(chip => chip.getAttribute('aria-checked') === 'true') || chips[0];
+      chips.forEach(chip => chip.setAttribute('tabindex', chip === current ? '0' : '-1'));
+    }
+  }
+
+  /**
+   * Disable options that mapping.rules make unavailable and explain why
+   */
+  function refreshOptionAvailability(session) {
+    const { container, mapping, materialsData, selections, i18n } = session;
+    if (!container) return;
+
+    container.querySelectorAll('select[data-application]').forEach(select => {
+      const applicationName = select.getAttribute('data-application');
+      const notes = [];
+
+      Array.from(select.options).forEach(option => {
+        if (!option.value) return;
+        const resolution = resolveSelection(mapping, materialsData, selections, applicationName, option.value);
+        const unavailable = !resolution.allowed && option.value !== select.value;
+        option.disabled = unavailable;
+        option.title = unavailable ? resolution.reasons.join(' ') : '';
+        if (unavailable) {
+          notes.push(`${i18n.option(applicationName, option.value)}: ${resolution.reasons.join(' ')}`);
+        }
+      });
+      syncSwatchGrid(select);
+
+      const wrapper = select.parentElement;
+      let note = wrapper && wrapper.querySelector('.vectary-option-note');
+      if (!notes.length) {
+        if (note) note.parentElement.removeChild(note);
+        return;
+      }
+      if (!note && wrapper) {
+        note = document.createElement('div');
+        note.className = 'vectary-option-note';
+        wrapper.appendChild(note);
+      }
+      if (note) {
+        note.textContent = i18n.t('option.unavailable', { notes: notes.join(' · ') });
+      }
+    });
+  }
+
+  /**
+   * Find the select element bound to an application
+   */
+  function findSelectForApplication(container, applicationName) {
+    const selects = Array.from(container.querySelectorAll('select[data-application]'));
+    return selects.find(select => select.getAttribute('data-application') === applicationName) || null;
+  }
+
+  /**
+   * Apply a single selection through the variant, material or composite pipeline
+   * applicationName may be a part key ("app/part") of a split application
+   */
+  async function applySelection(session, applicationName, optionLabel, source) {
+    const { mapping, selections } = session;
+    const { application, part } = parseSelectionKey(applicationName);
+    try {
+      if (!session.modelApi) {
+        // Degraded mode: the scene catches up with the selections when it reconnects
+      } else if (part) {
+        await applyMaterial(session, application, optionLabel, [part]);
+      } else if (isVariantApplication(mapping, applicationName, session.variantsData)) {
+        await applyVariant(session, applicationName, optionLabel);
+      } else if (isCompositeOption(mapping, applicationName, optionLabel)) {
+        await applyCompositeOption(session, applicationName, optionLabel);
+      } else {
+        // Parts with their own option keep it
+        const objectNames = mapping.objectNames[applicationName] || [];
+        const targets = objectNames.filter(name => !selections.has(toPartKey(applicationName, name)));
+        if (targets.length || !objectNames.length) {
+          await applyMaterial(session, applicationName, optionLabel, targets.length < objectNames.length ? targets : undefined);
+        }
+      }
+    } catch (err) {
+      throw toConfiguratorError(err, ApplyError, part ? { application, part, option: optionLabel } : { application, option: optionLabel });
+    }
+    selections.set(applicationName, optionLabel);
+    if (part) {
+      session.splitApplications.add(application);
+    }
+
+    // Leave the control alone while a newer choice for it is queued
+    const select = session.container && findSelectForApplication(session.container, applicationName);
+    if (select && !session.scheduler.pending.has(applicationName)) {
+      select.value = optionLabel;
+    }
+    syncPartControls(session, application);
+    updatePriceSummary(session);
+    session.emitter.emit('change', {
+      application: applicationName,
+      option: optionLabel,
+      source,
+      selections: Object.fromEntries(session.selections),
+    });
+  }
+
+  /**
+   * Check the compatibility rules, then apply a scheduled selection and its dependent choices
+   * Dependent choices are skipped when a newer selection for the application superseded this one
+   */
+  async function runSelectOption(session, request) {
+    const { application: applicationName, option: optionLabel } = request;
+    const resolution = resolveSelection(session.mapping, session.materialsData, session.selections, applicationName, optionLabel);
+    if (!resolution.allowed) {
+      throw new RuleViolationError(
+        session.i18n.t('selection.notAvailable', {
+          option: session.i18n.option(applicationName, optionLabel),
+          reason: resolution.reasons.join(' '),
+        }),
+        { application: applicationName, option: optionLabel, reasons: resolution.reasons }
+      );
+    }
+
+    const before = new Map(session.selections);
+    try {
+      await applySelection(session, applicationName, optionLabel, request.source);
+      if (request.cancelled) {
+        debugLog(session.config, 'Selection superseded for', applicationName, optionLabel);
+        return resolution;
+      }
+
+      // Auto-resolve dependent choices required by the rules
+      for (const change of resolution.changes) {
+        await applySelection(session, change.application, change.option, 'rule');
+      }
+      pushSelectionsToHistory(session);
+      return resolution;
+    } catch (err) {
+      reportError(session, err, { stage: 'selection', application: applicationName, option: optionLabel });
+      throw err;
+    } finally {
+      // Whatever was applied, rule changes included, is undone together
+      recordUndoStep(session, before, request.source);
+      refreshOptionAvailability(session);
+    }
+  }
+
+  /**
+   * Replay a set of selections from a shared link on top of the current ones
+   * Applications that already show the requested option are skipped
+   */
+  async function replaySelections(session, targetSelections, source) {
+    const { mapping, materialsData, selections, config } = session;
+
+    // Combined with current selections, the target must satisfy the compatibility rules
+    const combined = new Map([...selections, ...targetSelections]);
+    const violations = findRuleViolations(mapping, materialsData, combined);
+    violations.forEach(violation => {
+      showErrorMessage(
+        session.i18n.t('selection.notAvailable', {
+          option: session.i18n.option(violation.application, violation.option),
+          reason: violation.reason,
+        }),
+        session.panel
+      );
+    });
+
+    for (const [applicationName, optionLabel] of targetSelections) {
+      if (selections.get(applicationName) === optionLabel) continue;
+      if (violations.some(v => v.application === applicationName && v.option === optionLabel)) continue;
+
+      try {
+        await applySelection(session, applicationName, optionLabel, source);
+      } catch (err) {
+        reportError(session, err, { stage: 'restore', application: applicationName, option: optionLabel });
+        showFailure(session, err, { retry: () => selectWithFeedback(session, applicationName, optionLabel) });
+      }
+    }
+
+    // Parts the target leaves to their application follow its option again (e.g. back to a linked state)
+    const relinked = Array.from(selections.keys()).filter(key => {
+      const { application, part } = parseSelectionKey(key);
+      return part && !targetSelections.has(key) && targetSelections.has(application);
+    });
+    for (const key of relinked) {
+      const { application, part } = parseSelectionKey(key);
+      try {
+        if (session.modelApi) {
+          await applyMaterial(session, application, selections.get(application), [part]);
+        }
+        selections.delete(key);
+      } catch (err) {
+        reportError(session, err, { stage: 'restore', application, part, option: selections.get(application) });
+        showFailure(session, err);
+      }
+    }
+    if (relinked.length) {
+      session.splitApplications = findSplitApplications(mapping, selections);
+      syncPartControls(session);
+      updatePriceSummary(session);
+      session.emitter.emit('change', { application: null, option: null, source, selections: Object.fromEntries(selections) });
+    }
+
+    refreshOptionAvailability(session);
+    debugLog(config, 'Replayed selections', targetSelections);
+  }
+
+  /**
+   * Switch to a complete set of selections in one update: every variant change goes out in a
+   * single setConfigurationState call, and the controls, price and URL are refreshed once
+   * Applications missing from targetSelections are cleared; parts missing from it follow their application again
+   */
+  async function applySelectionBatch(session, targetSelections, source) {
+    const { mapping, materialsData, variantsData, modelApi, selections, config } = session;
+
+    const violations = findRuleViolations(mapping, materialsData, targetSelections);
+    if (violations.length) {
+      throw new RuleViolationError(
+        violations
+          .map(violation =>
+            session.i18n.t('selection.notAvailable', {
+              option: session.i18n.option(violation.application, violation.option),
+              reason: violation.reason,
+            })
+          )
+          .join(' '),
+        { violations }
+      );
+    }
+
+    // Without the 3D view only the selections change (see reconnectScene)
+    const connected = !!modelApi;
+    const changed = Array.from(targetSelections).filter(([applicationName, optionLabel]) => selections.get(applicationName) !== optionLabel);
+    const variantChanges = changed.filter(
+      ([applicationName, optionLabel]) =>
+        connected && (isVariantApplication(mapping, applicationName, variantsData) || isCompositeOption(mapping, applicationName, optionLabel))
+    );
+    // Material applications: the target objects whose shown option changes, grouped by option
+    const materialChanges = [];
+    Object.values(mapping.applications || {}).forEach(applicationName => {
+      if (!connected || isVariantApplication(mapping, applicationName, variantsData)) return;
+      const objectNames = (mapping.objectNames && mapping.objectNames[applicationName]) || [];
+      groupPartsByOption(mapping, targetSelections, applicationName).forEach((partNames, optionLabel) => {
+        const changedParts = partNames.filter(name => getPartOption(selections, applicationName, name) !== optionLabel);
+        if (!optionLabel || !changedParts.length) return;
+        materialChanges.push([applicationName, optionLabel, changedParts.length < objectNames.length ? changedParts : undefined]);
+      });
+    });
+
+    // Composite options: have their materials in the scene before the geometry changes
+    for (const [applicationName, optionLabel] of materialChanges) {
+      if (!isCompositeOption(mapping, applicationName, optionLabel)) continue;
+      const { csvRow, context } = resolveMaterialOption(session, applicationName, optionLabel);
+      try {
+        await loadMaterialObject(session, csvRow);
+      } catch (err) {
+        throw toConfiguratorError(err, MaterialImportError, context);
+      }
+    }
+
+    let previousState = null;
+    if (variantChanges.length) {
+      const currentState = (await modelApi.getConfigurationState()) || [];
+      const updatedState = Array.isArray(currentState) ? currentState.slice() : [];
+      let matchedCount = 0;
+      variantChanges.forEach(([applicationName, optionLabel]) => {
+        matchedCount += rewriteVariantChanges(updatedState, resolveVariantChanges(session, applicationName, optionLabel), applicationName, optionLabel);
+      });
+      if (matchedCount) {
+        try {
+          await modelApi.setConfigurationState(updatedState);
+          previousState = currentState;
+        } catch (err) {
+          const applications = variantChanges.map(([applicationName]) => applicationName);
+          throw new ApplyError(`Failed to update the configuration: ${err.message}`, { applications }, { cause: err });
+        }
+      }
+    }
+
+    const appliedChanges = [];
+    for (const change of materialChanges) {
+      const [applicationName, optionLabel, partNames] = change;
+      try {
+        await applyMaterial(session, applicationName, optionLabel, partNames);
+        appliedChanges.push(change);
+      } catch (err) {
+        // The selections stay as they were, so the materials applied so far and the geometry go back as well
+        await restoreMaterialChanges(session, appliedChanges);
+        if (previousState) {
+          await modelApi.setConfigurationState(previousState).catch(restoreErr => {
+            debugLog(config, 'Failed to restore the configuration state', restoreErr);
+          });
+        }
+        throw toConfiguratorError(err, ApplyError, { application: applicationName, option: optionLabel });
+      }
+    }
+
+    const before = new Map(selections);
+    selections.clear();
+    targetSelections.forEach((optionLabel, applicationName) => selections.set(applicationName, optionLabel));
+    recordUndoStep(session, before, source);
+    session.splitApplications = findSplitApplications(mapping, selections);
+    syncSelectControls(session);
+
+    refreshOptionAvailability(session);
+    updatePriceSummary(session);
+    // Startup defaults are the page's own state and history moves along existing entries
+    if (source !== 'default' && source !== 'history') {
+      pushSelectionsToHistory(session);
+    }
+    session.emitter.emit('change', { application: null, option: null, source, selections: Object.fromEntries(selections) });
+    debugLog(config, 'Applied selection batch', source, targetSelections);
   }
 
-  // ============================================================================
-  // UI HANDLING
-  // ============================================================================
+  /**
+   * Re-apply the selected options to the objects of material changes made by a failed batch
+   * Objects without a selected option keep the new material; failures are only logged
+   */
+  async function restoreMaterialChanges(session, changes) {
+    const { mapping, selections, config } = session;
+    for (const [applicationName, , partNames] of changes.slice().reverse()) {
+      const objectNames = (mapping.objectNames && mapping.objectNames[applicationName]) || [];
+      const restored = groupPartsByOption(mapping, selections, applicationName);
+      for (const [optionLabel, names] of restored) {
+        const targets = names.filter(name => !partNames || partNames.includes(name));
+        if (!optionLabel || !targets.length) continue;
+        try {
+          await applyMaterial(session, applicationName, optionLabel, targets.length < objectNames.length ? targets : undefined);
+        } catch (err) {
+          debugLog(config, 'Failed to restore the material of', applicationName, err);
+        }
+      }
+    }
+  }
 
   /**
-   * Show a simple, non-intrusive error message in the UI panel
+   * Show the current selections in every select and part control
    */
-  function showErrorMessage(message) {
-    const ui = document.getElementById('ui');
-    if (!ui) return;
+  function syncSelectControls(session) {
+    if (!session.container) return;
+    session.container.querySelectorAll('select[data-application]').forEach(select => {
+      select.value = getEffectiveSelection(session.selections, select.getAttribute('data-application'));
+    });
+    syncPartControls(session);
+  }
 
-    let existing = ui.querySelector('.vectary-error');
-    if (!existing) {
-      existing = document.createElement('div');
-      existing.className = 'vectary-error';
-      existing.style.cssText =
-        'background: #fdecea; border-left: 4px solid #f44336; padding: 10px; margin-bottom: 15px; border-radius: 4px; font-size: 12px; color: #b71c1c;';
-      ui.insertBefore(existing, ui.children[1] || null);
-    }
-    existing.textContent = message;
+  /**
+   * Restore every application to its default option
+   */
+  function resetToDefaults(session) {
+    return runExclusive(session, () => applySelectionBatch(session, getDefaultSelections(session), 'reset'));
+  }
 
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
-      if (existing && existing.parentElement) {
-        existing.parentElement.removeChild(existing);
+  /**
+   * Wire the "Reset" button
+   */
+  function bindResetButton(session) {
+    const button = session.resetButton;
+    if (!button) return;
+
+    const onClick = async () => {
+      button.disabled = true;
+      try {
+        await resetToDefaults(session);
+      } catch (err) {
+        reportError(session, err, { stage: 'reset' });
+        showFailure(session, err, { retry: onClick, fallbackKey: 'reset.failed' });
+      } finally {
+        button.disabled = false;
       }
-    }, 5000);
+    };
+
+    button.addEventListener('click', onClick);
+    button.disabled = false;
+    session.cleanup.push(() => button.removeEventListener('click', onClick));
   }
 
   /**
-   * Show a success message (optional, for user feedback)
+   * Tell the customer the 3D view is unavailable; trying again reconnects right away
    */
-  function showSuccessMessage(message) {
-    const ui = document.getElementById('ui');
-    if (!ui) return;
+  function showDegradedNotice(session, err) {
+    showFailure(session, err, { retry: () => reconnectScene(session) });
+  }
 
-    let existing = ui.querySelector('.vectary-success');
-    if (!existing) {
-      existing = document.createElement('div');
-      existing.className = 'vectary-success';
-      existing.style.cssText =
-        'background: #e8f5e9; border-left: 4px solid #4caf50; padding: 10px; margin-bottom: 15px; border-radius: 4px; font-size: 12px; color: #2e7d32;';
-      ui.insertBefore(existing, ui.children[1] || null);
+  /**
+   * Remove the degraded-mode notice unless another message replaced it
+   */
+  function clearDegradedNotice(session) {
+    const ui = session.panel || (typeof document !== 'undefined' && document.getElementById('ui'));
+    const notice = ui && ui.querySelector('.vectary-error');
+    if (notice && notice.firstChild && notice.firstChild.textContent === session.i18n.t('error.apiConnect')) {
+      notice.parentElement.removeChild(notice);
     }
-    existing.textContent = message;
+  }
 
-    setTimeout(() => {
-      if (existing && existing.parentElement) {
-        existing.parentElement.removeChild(existing);
-      }
-    }, 3000);
+  /**
+   * Enable the undo/redo buttons only while there is a step to move to
+   */
+  function updateUndoButtons(session) {
+    if (session.undoButton) session.undoButton.disabled = !session.undoStack.length;
+    if (session.redoButton) session.redoButton.disabled = !session.redoStack.length;
   }
 
   /**
-   * Bind change listeners to all select elements inside the options container
-   * Includes debouncing to prevent rapid-fire operations
+   * Undo or redo a step after the pending selections and report failures in the panel
    */
-  function bindUiHandlers(modelApi, mapping, materialsData, objectIndex, config) {
-    const container = document.getElementById('vectary-options-container');
-    if (!container) return;
+  async function stepWithFeedback(session, direction) {
+    try {
+      await runExclusive(session, () => moveThroughUndoHistory(session, direction));
+    } catch (err) {
+      if (session.destroyed) return;
+      reportError(session, err, { stage: direction });
+      showFailure(session, err, { retry: () => stepWithFeedback(session, direction), fallbackKey: direction + '.failed' });
+    }
+  }
+
+  /**
+   * Bind the undo/redo buttons and the Ctrl+Z / Ctrl+Shift+Z shortcuts (Cmd on macOS)
+   * Shortcuts typed into text fields keep their native meaning
+   */
+  function bindUndoControls(session) {
+    const buttons = [
+      [session.undoButton, 'undo'],
+      [session.redoButton, 'redo'],
+    ].filter(([button]) => button);
+    buttons.forEach(([button, direction]) => {
+      const onClick = () => stepWithFeedback(session, direction);
+      button.addEventListener('click', onClick);
+      session.cleanup.push(() => button.removeEventListener('click', onClick));
+    });
+    updateUndoButtons(session);
 
-    // Debounced handler to prevent rapid selections
-    const debouncedHandler = debounce(async function (event) {
+    if (session.config.shortcuts === false || typeof document === 'undefined') return;
+    const onKeyDown = event => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || (event.key || '').toLowerCase() !== 'z') return;
       const target = event.target;
-      if (!(target instanceof HTMLSelectElement)) {
-        return;
+      if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName))) return;
+      event.preventDefault();
+      stepWithFeedback(session, event.shiftKey ? 'redo' : 'undo');
+    };
+    document.addEventListener('keydown', onKeyDown);
+    session.cleanup.push(() => document.removeEventListener('keydown', onKeyDown));
+  }
+
+  /**
+   * Render the product picker; it stays hidden while the variants CSV lists a single product
+   */
+  function renderProductSwitcher(session) {
+    const { productElement: el, i18n } = session;
+    const products = Array.from(session.variantsData.byProduct.keys());
+    el.innerHTML = '';
+    el.hidden = products.length < 2;
+    if (products.length < 2) return;
+
+    const selectId = (session.idPrefix || '') + 'select_product';
+    const label = document.createElement('label');
+    label.className = 'label';
+    label.htmlFor = selectId;
+    label.textContent = i18n.t('ui.product');
+    el.appendChild(label);
+
+    const select = document.createElement('select');
+    select.id = selectId;
+    select.name = 'product';
+    products.forEach(productName => {
+      const option = document.createElement('option');
+      option.value = productName;
+      option.textContent = i18n.product(productName);
+      select.appendChild(option);
+    });
+    select.value = session.productName;
+    el.appendChild(select);
+  }
+
+  /**
+   * Ask the owning configurator to switch products and report failures in the panel
+   */
+  async function requestProductSwitch(session, productName, source) {
+    if (!session.switchProduct) return;
+    try {
+      await session.switchProduct(productName, source);
+    } catch (err) {
+      // Already reported by the configurator (stage "init")
+      showFailure(session, err, {
+        fallbackKey: 'product.switchFailed',
+        params: { product: session.i18n.product(productName) },
+      });
+    }
+  }
+
+  /**
+   * Render the product picker and switch products when it changes
+   */
+  function bindProductSwitcher(session) {
+    const el = session.productElement;
+    if (!el) return;
+    renderProductSwitcher(session);
+    const select = el.querySelector('select');
+    if (!select) return;
+
+    const onChange = () => {
+      if (select.value !== session.productName) {
+        requestProductSwitch(session, select.value, 'user');
       }
+    };
+    select.addEventListener('change', onChange);
+    session.cleanup.push(() => {
+      select.removeEventListener('change', onChange);
+      select.disabled = true;
+    });
+  }
 
-      const applicationName = target.getAttribute('data-application');
-      const rawValue = target.value;
-      if (!applicationName || !rawValue) {
-        return;
+  /**
+   * Schedule a selection made in the UI and tell the customer how it went
+   * Failures restore the control and, when trying again can help, offer a retry
+   */
+  async function selectWithFeedback(session, applicationName, optionLabel) {
+    try {
+      const resolution = await scheduleSelection(session, applicationName, optionLabel, 'user');
+      if (resolution.changes.length) {
+        showSuccessMessage(
+          resolution.changes
+            .map(change =>
+              session.i18n.t('selection.changed', {
+                option: session.i18n.option(change.application, change.option),
+                reason: change.reason,
+              })
+            )
+            .join(' '),
+          session.panel
+        );
+      }
+    } catch (err) {
+      if (session.destroyed) return;
+      showFailure(session, err, {
+        retry: () => {
+          const select = session.container && findSelectForApplication(session.container, applicationName);
+          if (select) {
+            select.value = optionLabel;
+            syncSwatchGrid(select);
+          }
+          selectWithFeedback(session, applicationName, optionLabel);
+        },
+      });
+      // Restore the last applied value on error, unless a newer choice is queued
+      const select = session.container && findSelectForApplication(session.container, applicationName);
+      if (select && !session.scheduler.pending.has(applicationName)) {
+        select.value = getEffectiveSelection(session.selections, applicationName);
+        syncSwatchGrid(select);
       }
+    }
+  }
+
+  /**
+   * Give every part of a split application the first part's option again and drop the parts' own choices
+   */
+  function linkParts(session, applicationName) {
+    const { mapping, selections } = session;
+    const parts = getSplitParts(mapping, applicationName);
+    const partKeys = parts.map(partName => toPartKey(applicationName, partName)).filter(key => selections.has(key));
+    if (!partKeys.length) {
+      session.splitApplications.delete(applicationName);
+      syncPartControls(session, applicationName);
+      return Promise.resolve();
+    }
 
-      // Show loading state
-      const originalValue = target.value;
-      target.disabled = true;
-      target.style.opacity = '0.6';
+    const target = new Map(selections);
+    const optionLabel = getPartOption(selections, applicationName, parts[0]);
+    partKeys.forEach(key => target.delete(key));
+    if (optionLabel) target.set(applicationName, optionLabel);
+    return applySelectionBatch(session, target, 'link');
+  }
 
-      try {
-        if (isVariantApplication(applicationName)) {
-          await applyVariant(modelApi, mapping, objectIndex, applicationName, rawValue, config);
-        } else {
-          await applyMaterial(modelApi, mapping, objectIndex, applicationName, rawValue, materialsData, config);
+  /**
+   * Handle the "link parts" toggle; unlinking only reveals the part selects, linking reapplies one option
+   */
+  async function setPartsLinked(session, applicationName, linked) {
+    if (!linked) {
+      session.splitApplications.add(applicationName);
+      syncPartControls(session, applicationName);
+      return;
+    }
+    try {
+      await runExclusive(session, () => linkParts(session, applicationName));
+    } catch (err) {
+      if (session.destroyed) return;
+      reportError(session, err, { stage: 'link', application: applicationName });
+      showFailure(session, err, { retry: () => setPartsLinked(session, applicationName, true) });
+      syncPartControls(session, applicationName);
+    }
+  }
+
+  /**
+   * Bind change listeners to all select elements inside the options container
+   * Selections go through the scheduler, so controls stay usable while work is pending
+   */
+  function bindUiHandlers(session) {
+    const { container, config } = session;
+
+    if (container) {
+      const onChange = async function (event) {
+        const target = event.target;
+        if (session.destroyed) {
+          return;
         }
-        // Optional: show success message
-        // showSuccessMessage(`Applied "${rawValue}" successfully`);
-      } catch (err) {
-        // eslint-disable-next-line no-console
-        console.error('Error applying selection for', applicationName, rawValue, err);
-        showErrorMessage(`Unable to apply "${rawValue}" for "${applicationName}". See console for details.`);
-        // Restore original value on error
-        target.value = originalValue;
-      } finally {
-        target.disabled = false;
-        target.style.opacity = '1';
+        if (target instanceof HTMLInputElement && target.hasAttribute('data-link-parts')) {
+          await setPartsLinked(session, target.getAttribute('data-link-parts'), target.checked);
+          return;
+        }
+        if (!(target instanceof HTMLSelectElement)) {
+          return;
+        }
+
+        const applicationName = target.getAttribute('data-application');
+        const rawValue = target.value;
+        if (!applicationName || !rawValue) {
+          return;
+        }
+
+        await selectWithFeedback(session, applicationName, rawValue);
+      };
+
+      container.addEventListener('change', onChange);
+      session.cleanup.push(() => container.removeEventListener('change', onChange));
+      container.querySelectorAll('select[data-application], input[data-link-parts]').forEach(control => {
+        control.disabled = false;
+      });
+      refreshOptionAvailability(session);
+    }
+
+    // Back/forward buttons move through selection history; options the entry does not name are cleared
+    if (config.syncUrl) {
+      const onPopState = event => {
+        const linkedProduct = getHashProduct(window.location.hash);
+        if (linkedProduct && linkedProduct !== session.productName && session.variantsData.byProduct.has(linkedProduct)) {
+          requestProductSwitch(session, linkedProduct, 'history');
+          return;
+        }
+        return restoreHistoryEntry(session, event.state).catch(err => {
+          reportError(session, err, { stage: 'history' });
+          showFailure(session, err);
+        });
+      };
+      window.addEventListener('popstate', onPopState);
+      session.cleanup.push(() => window.removeEventListener('popstate', onPopState));
+    }
+  }
+
+  // ============================================================================
+  // PUBLIC CONFIGURATOR API
+  // ============================================================================
+
+  /**
+   * Resolve an element option given as an element or an element id
+   */
+  function resolveElement(value) {
+    if (!value || (typeof value === 'string' && typeof document === 'undefined')) return null;
+    return typeof value === 'string' ? document.getElementById(value) : value;
+  }
+
+  /**
+   * Create the per-instance state: scene caches, selections and DOM hooks
+   */
+  function createSession(options) {
+    const config = Object.assign({ debug: false, syncUrl: false }, options);
+    // The page's default elements belong to the instance that names no container; one given a container
+    // (or container: null, headless) only uses the elements it names
+    const usePageElements = !('container' in config);
+    const element = (key, defaultId) => {
+      if (key in config) return resolveElement(config[key]);
+      return usePageElements ? resolveElement(defaultId) : null;
+    };
+    return {
+      config,
+      i18n: createTranslator(config.locales, resolveLocale(config.locales, getLocaleCandidates(config))),
+      // Mapping overrides of the configured product (see resolveProductMapping)
+      overrides: null,
+      iframeId: config.iframeId,
+      container: element('container', 'vectary-options-container'),
+      panel: element('panel', 'ui'),
+      priceElement: element('priceElement', 'vectary-price'),
+      progressElement: element('progressElement', 'vectary-progress'),
+      quoteButton: element('quoteButton', 'vectary-quote-button'),
+      snapshotButton: element('snapshotButton', 'vectary-snapshot-button'),
+      resetButton: element('resetButton', 'vectary-reset-button'),
+      undoButton: element('undoButton', 'vectary-undo-button'),
+      specButton: element('specButton', 'vectary-spec-button'),
+      bomElement: element('bomElement', 'vectary-bom'),
+      redoButton: element('redoButton', 'vectary-redo-button'),
+      savedElement: element('savedElement', 'vectary-saved'),
+      productElement: element('productElement', 'vectary-products'),
+      idPrefix: config.idPrefix || '',
+      emitter: createEmitter(),
+      modelApi: null,
+      mapping: null,
+      materialsData: null,
+      variantsData: null,
+      productName: '',
+      objectIndex: new Map(),
+      // Cache for imported objects (keyed by file URL, least recently used first)
+      objectCache: new Map(),
+      // Parts using each imported object (keyed by file URL); used objects are never evicted
+      objectUsers: new Map(),
+      // Set once the model API turned out not to support deleteObjects (eviction warning shown)
+      evictionUnsupported: false,
+      // Track currently visible material objects per application (several while its parts are split)
+      activeMaterialObjects: new Map(),
+      // Imported object each part ("app/objectName") currently shows
+      partMaterialObjects: new Map(),
+      // Latest material match report per "application:option" (see matchMaterial)
+      matchReports: new Map(),
+      // 3D file loads in progress for selections (keyed by file URL)
+      loadProgress: new Map(),
+      // Currently applied option label per application or part (source of shareable URLs)
+      selections: new Map(),
+      // Applications whose parts show their own selects (see SPLIT PARTS)
+      splitApplications: new Set(),
+      // Steps of the customer's changes, latest last (see UNDO / REDO)
+      undoStack: [],
+      redoStack: [],
+      // Degraded mode: pending reconnect attempt and timer (see reconnectScene)
+      reconnecting: null,
+      reconnectTimer: null,
+      // Options the scene showed on startup (reset falls back to them where no default is declared)
+      sceneSelections: new Map(),
+      // Named configurations for this product (see SAVED CONFIGURATIONS)
+      savedConfigurations: [],
+      // Set by the owning configurator: (productName, source) → Promise (see switchProduct)
+      switchProduct: null,
+      scheduler: createScheduler(),
+      readyPromise: null,
+      ready: false,
+      destroyed: false,
+      cleanup: [],
+    };
+  }
+
+  /**
+   * Load the catalog, render controls, connect to Vectary and restore any shared link
+   */
+  async function startSession(session) {
+    const { config, emitter } = session;
+
+    if (!config.mapping && !config.mappings) {
+      throw new Error('Configurator option "mapping" is required.');
+    }
+    const iframe = document.getElementById(session.iframeId);
+    if (!iframe) {
+      throw new Error(`Iframe with id "${session.iframeId}" not found.`);
+    }
+
+    translateStaticText(session.panel, session.i18n);
+    const loadingEl = session.container && session.container.querySelector('.loading');
+
+    // Load materials and variants CSVs, then generate the option controls from them
+    emitter.emit('loading', { stage: 'catalog', loading: true });
+    const [materialsData, variantsData] = await Promise.all([
+      loadMaterialsCsv(config.materialsCsvUrl),
+      loadVariantsCsv(config.variantsCsvUrl),
+    ]);
+    if (session.destroyed) return;
+
+    session.productName = resolveProductName(config, variantsData);
+    session.overrides = resolveProductMapping(config, session.productName);
+    if (!session.overrides) {
+      throw new Error(`No mapping configured for product "${session.productName}".`);
+    }
+    session.materialsData = materialsData;
+    session.variantsData = scopeVariantsToProduct(variantsData, session.productName);
+    session.mapping = buildCatalog(materialsData, session.variantsData, session.overrides, session.productName, config);
+    // Rule messages are shown to users, so they come from the locale bundle when it has them
+    session.mapping.rules = session.mapping.rules.map(rule => Object.assign({}, rule, { message: session.i18n.rule(rule) }));
+    debugLog(config, 'Catalog mapping for', session.productName, session.mapping);
+    debugLog(config, 'Variant switchers from CSV', session.variantsData.variants);
+
+    if (session.container) {
+      renderOptionControls(session);
+    }
+    bindProductSwitcher(session);
+    updatePriceSummary(session);
+    emitter.emit('loading', { stage: 'catalog', loading: false });
+
+    // Show loading state
+    if (loadingEl) {
+      loadingEl.textContent = session.i18n.t('status.initializing');
+    }
+
+    // Initialize Vectary API; without it the options still work (degraded mode, see VECTARY API INITIALIZATION)
+    emitter.emit('loading', { stage: 'api', loading: true });
+    let scene = null;
+    let connectError = null;
+    try {
+      scene = await connectScene(session);
+    } catch (err) {
+      connectError = err;
+    }
+    if (session.destroyed) return;
+    emitter.emit('loading', { stage: 'api', loading: false });
+    if (scene) {
+      adoptScene(session, scene);
+    } else {
+      reportError(session, connectError, { stage: 'api' });
+      showDegradedNotice(session, connectError);
+    }
+
+    // Start the controls from what the scene actually shows
+    session.sceneSelections.forEach((optionLabel, applicationName) => {
+      session.selections.set(applicationName, optionLabel);
+      const select = session.container && findSelectForApplication(session.container, applicationName);
+      if (select) {
+        select.value = optionLabel;
+        syncSwatchGrid(select);
       }
-    }, 300); // 300ms debounce
+    });
+    syncPartControls(session);
+    updatePriceSummary(session);
+    debugLog(config, 'Selections detected in the scene', session.sceneSelections);
+
+    if (config.debug && scene) {
+      const sceneObjectNames = collectSceneNames(scene.objects, scene.configState);
+      const report = validateCatalog(materialsData, variantsData, session.overrides, {
+        product: session.productName,
+        sceneObjectNames,
+      });
+      debugLog(config, 'Catalog validation report', report);
+    }
+
+    // Clear loading message
+    if (loadingEl && loadingEl.parentElement) {
+      loadingEl.parentElement.removeChild(loadingEl);
+    }
+
+    // Bind UI handlers
+    bindUiHandlers(session);
+    bindQuoteButton(session);
+    bindSnapshotButton(session);
+    bindSpecSheetControls(session);
+    bindResetButton(session);
+    bindUndoControls(session);
+    restoreSavedConfigurations(session);
+    bindSavedConfigurations(session);
+
+    // Restore a shared configuration from the URL, if any (links to another product are skipped)
+    const linkedProduct = config.syncUrl ? getHashProduct(window.location.hash) : '';
+    const sharedSelections =
+      config.syncUrl && (!linkedProduct || linkedProduct === session.productName)
+        ? parseSelectionsFromHash(window.location.hash, session.mapping, config)
+        : new Map();
+    if (sharedSelections.size) {
+      await runExclusive(session, () => replaySelections(session, sharedSelections, 'url'));
+    }
+
+    // Apply declared defaults where neither the link nor the scene decided the option
+    const defaults = new Map(session.selections);
+    Object.entries(session.mapping.defaults || {}).forEach(([applicationName, optionLabel]) => {
+      if (!defaults.has(applicationName)) defaults.set(applicationName, optionLabel);
+    });
+    if (defaults.size > session.selections.size) {
+      const applyDefaults = async () => {
+        try {
+          await runExclusive(session, () => applySelectionBatch(session, defaults, 'default'));
+        } catch (err) {
+          reportError(session, err, { stage: 'defaults' });
+          showFailure(session, err, { retry: applyDefaults, fallbackKey: 'defaults.failed' });
+        }
+      };
+      await applyDefaults();
+    }
+
+    // The first history entry remembers the startup selections for back navigation
+    if (config.syncUrl) {
+      window.history.replaceState(getHistoryState(session), '');
+    }
+
+    session.ready = true;
+    startPreloading(session);
+    if (!scene) {
+      scheduleReconnect(session);
+    }
+    debugLog(config, 'Vectary simple configurator initialized');
+  }
+
+  /**
+   * Detach a session's listeners, drop its scene caches and remove the generated controls
+   * The emitter is left alone so a product switch keeps the caller's subscriptions
+   */
+  function teardownSession(session) {
+    session.destroyed = true;
+    clearTimeout(session.reconnectTimer);
+    session.cleanup.forEach(fn => fn());
+    session.cleanup = [];
+    if (session.container) {
+      session.container.querySelectorAll('.field.option').forEach(el => el.parentElement.removeChild(el));
+    }
+    [session.quoteButton, session.snapshotButton, session.specButton, session.resetButton, session.undoButton, session.redoButton].forEach(button => {
+      if (button) button.disabled = true;
+    });
+    session.objectCache.clear();
+    session.objectUsers.clear();
+    session.evictionUnsupported = false;
+    session.activeMaterialObjects.clear();
+    session.partMaterialObjects.clear();
+    session.matchReports.clear();
+    session.loadProgress.clear();
+    session.selections.clear();
+    session.splitApplications.clear();
+    session.undoStack = [];
+    session.redoStack = [];
+    instances.delete(session);
+  }
+
+  /**
+   * Create a configurator instance bound to a Vectary iframe
+   *
+   * options: { iframeId, mapping, mappings, materialsCsvUrl, variantsCsvUrl, product, sceneUrlTemplate, pricing, quote,
+   *            snapshot, preload, cache, container, panel, priceElement, progressElement, quoteButton, snapshotButton,
+   *            specButton, bomElement, resetButton, undoButton, redoButton, savedElement, productElement, storage, savedConfigurationsKey,
+   *            swatches, locales, locale, localeParam, idPrefix, syncUrl, shortcuts, api, reporter, debug }
+   * DOM options accept an element or an element id (null: none). Without a container option the page's default
+   * ids are used (vectary-options-container, ui, vectary-price, ...); an instance given a container only uses
+   * the elements it names, so pass container: null for a headless instance.
+   * shortcuts: false leaves Ctrl+Z / Ctrl+Shift+Z to the page (e.g. with several configurators on it).
+   * cache.maxResidentObjects is only enforced with a model API that can delete objects (deleteObjects);
+   * Vectary's VctrModelApi cannot, so unused imported objects stay hidden in the scene and are reused.
+   * mappings ({ productName: mapping }) gives products their own overrides; mapping is the fallback.
+   * reporter(error, details) receives every reported failure for a logging backend instead of the console (see ERRORS).
+   *
+   * Events: ready (again after switchProduct), change, error, loading, progress, quote,
+   * connection ({ connected: true } once the 3D view connects after starting without it)
+   * (subscribe with on(event, handler))
+   */
+  function createConfigurator(options) {
+    // Replaced by switchProduct; the emitter carries over to the new session
+    let session = createSession(options || {});
+    instances.add(session);
+
+    const ensureReady = () => {
+      if (session.destroyed) throw new Error('Configurator has been destroyed.');
+      if (!session.ready) throw new Error('Configurator is not ready yet; wait for the "ready" event.');
+    };
+
+    const instance = {
+      on: (event, handler) => session.emitter.on(event, handler),
+      off: (event, handler) => session.emitter.off(event, handler),
+
+      /**
+       * Select an option for an application (same rules and side effects as the UI)
+       */
+      async select(applicationName, optionLabel) {
+        ensureReady();
+        const appMaterials = session.mapping.materials[applicationName];
+        if (!appMaterials || !appMaterials[optionLabel]) {
+          throw new Error(`Unknown option "${optionLabel}" for application "${applicationName}"`);
+        }
+        await scheduleSelection(session, applicationName, optionLabel, 'api');
+        return instance.getState();
+      },
+
+      /**
+       * Select an option for one part of a split application; the other parts keep theirs
+       */
+      async selectPart(applicationName, partName, optionLabel) {
+        ensureReady();
+        if (!getSplitParts(session.mapping, applicationName).includes(partName)) {
+          throw new Error(`Unknown part "${partName}" for application "${applicationName}"`);
+        }
+        if (!session.mapping.materials[applicationName][optionLabel]) {
+          throw new Error(`Unknown option "${optionLabel}" for application "${applicationName}"`);
+        }
+        await scheduleSelection(session, toPartKey(applicationName, partName), optionLabel, 'api');
+        return instance.getState();
+      },
+
+      /**
+       * Give every part of a split application the same option again (the first part's)
+       */
+      async linkParts(applicationName) {
+        ensureReady();
+        if (!getSplitParts(session.mapping, applicationName).length) {
+          throw new Error(`Application "${applicationName}" has no parts to link`);
+        }
+        await runExclusive(session, () => linkParts(session, applicationName));
+        return instance.getState();
+      },
+
+      /**
+       * Snapshot of the instance: product, selections and price
+       */
+      getState() {
+        return {
+          ready: session.ready,
+          locale: session.i18n.locale,
+          product: session.productName,
+          selections: Object.fromEntries(session.selections),
+          price: getSessionQuote(session),
+          connected: !!session.modelApi,
+          canUndo: session.undoStack.length > 0,
+          canRedo: session.redoStack.length > 0,
+        };
+      },
+
+      /**
+       * Undo the latest change (a selection with its rule changes, a reset, a loaded configuration)
+       */
+      async undo() {
+        ensureReady();
+        await runExclusive(session, () => moveThroughUndoHistory(session, 'undo'));
+        return instance.getState();
+      },
+
+      /**
+       * Redo the latest undone change
+       */
+      async redo() {
+        ensureReady();
+        await runExclusive(session, () => moveThroughUndoHistory(session, 'redo'));
+        return instance.getState();
+      },
+
+      /**
+       * Restore the default option of every application in one batched update
+       */
+      async reset() {
+        ensureReady();
+        await resetToDefaults(session);
+        return instance.getState();
+      },
+
+      /**
+       * Save the current selections under a name (replaces a configuration with the same name)
+       */
+      saveConfiguration(name) {
+        ensureReady();
+        return saveConfiguration(session, name);
+      },
+
+      /**
+       * Saved configurations of this product
+       */
+      listConfigurations() {
+        return session.savedConfigurations.slice();
+      },
+
+      /**
+       * Apply a saved configuration
+       */
+      async loadConfiguration(id) {
+        ensureReady();
+        await loadSavedConfiguration(session, id);
+        return instance.getState();
+      },
+
+      /**
+       * Remove a saved configuration
+       */
+      deleteConfiguration(id) {
+        ensureReady();
+        deleteSavedConfiguration(session, id);
+      },
+
+      /**
+       * Saved configurations as a JSON document (see importConfigurations)
+       */
+      exportConfigurations() {
+        return exportSavedConfigurations(session);
+      },
+
+      /**
+       * Merge configurations from an exported JSON document; returns how many were imported
+       */
+      importConfigurations(json) {
+        ensureReady();
+        return importSavedConfigurations(session, json);
+      },
+
+      /**
+       * Compare two or three saved configurations per application
+       */
+      compareConfigurations(ids) {
+        ensureReady();
+        return compareConfigurations(session, ids);
+      },
+
+      /**
+       * Products listed in the variants CSV
+       */
+      listProducts() {
+        return session.variantsData ? Array.from(session.variantsData.byProduct.keys()) : [];
+      },
+
+      /**
+       * Configure another product: tears down the current model API and caches, loads the product's scene
+       * and catalog, then resolves once the new product is ready (source 'history' adds no history entry)
+       */
+      async switchProduct(productName, source) {
+        ensureReady();
+        if (productName === session.productName) return instance.getState();
+        if (!session.variantsData.byProduct.has(productName)) {
+          throw new Error(`Unknown product "${productName}"`);
+        }
+
+        // Swap sessions first so calls made during the switch see a configurator that is not ready
+        const previous = session;
+        session = createSession(Object.assign({}, previous.config, { product: productName }));
+        session.emitter = previous.emitter;
+        await runExclusive(previous, () => teardownSession(previous));
+        if (previous.config.syncUrl && source !== 'history') {
+          // A history entry per product, so back returns to the previous product
+          const hash = serializeSelections(new Map(), null, productName);
+          window.history.pushState({ vectarySelections: true }, '', window.location.pathname + window.location.search + hash);
+        }
+
+        instances.add(session);
+        if (session.container) {
+          const loadingEl = document.createElement('div');
+          loadingEl.className = 'loading';
+          loadingEl.textContent = session.i18n.t('ui.loading');
+          session.container.appendChild(loadingEl);
+        }
+        session.emitter.emit('loading', { stage: 'product', loading: true, product: productName });
+        instance.ready = start(session);
+        try {
+          await instance.ready;
+        } finally {
+          session.emitter.emit('loading', { stage: 'product', loading: false, product: productName });
+        }
+        return instance.getState();
+      },
+
+      /**
+       * Detach listeners, drop caches and remove the generated controls
+       */
+      destroy() {
+        if (session.destroyed) return;
+        teardownSession(session);
+        if (session.productElement) {
+          session.productElement.innerHTML = '';
+          session.productElement.hidden = true;
+        }
+        session.emitter.clear();
+      },
+
+      /**
+       * Canonical quote payload for the current selections
+       */
+      getQuotePayload() {
+        ensureReady();
+        return buildQuotePayload(session);
+      },
+
+      /**
+       * Send the configuration as a quote / add-to-cart request (see config.quote)
+       */
+      requestQuote() {
+        ensureReady();
+        return submitQuote(session);
+      },
+
+      /**
+       * Capture a PNG of the configuration (waits while the scene is still loading)
+       */
+      snapshot(snapshotOptions) {
+        if (session.destroyed) return Promise.reject(new Error('Configurator has been destroyed.'));
+        return takeSnapshot(session, snapshotOptions);
+      },
+
+      /**
+       * Bill of materials of the current selections; format "csv" returns CSV text, otherwise the object
+       */
+      getBillOfMaterials(format) {
+        ensureReady();
+        const bom = getBillOfMaterials(session);
+        return format === 'csv' ? toBomCsv(bom) : bom;
+      },
+
+      /**
+       * Show the printable spec sheet in printWindow (e.g. window.open('') from a click), or download it
+       */
+      openSpecSheet(printWindow) {
+        ensureReady();
+        return openSpecSheet(session, printWindow);
+      },
+
+      /**
+       * How the material of each applied option was found (latest report per application and option)
+       */
+      getMatchReports() {
+        return Array.from(session.matchReports.values());
+      },
+
+      /**
+       * Connect the 3D view now after the configurator started without it; resolves to getState()
+       */
+      async reconnect() {
+        ensureReady();
+        await reconnectScene(session);
+        return instance.getState();
+      },
+
+      /**
+       * The underlying VctrModelApi (null until ready and while the 3D view is not connected)
+       */
+      getModelApi() {
+        return session.modelApi;
+      },
+    };
+
+    // Resolves once the session is ready; rejects if initialization fails
+    function start(target) {
+      target.switchProduct = (productName, source) => instance.switchProduct(productName, source);
+      const ready = new Promise((resolve, reject) => {
+        // Defer start so callers can subscribe to events first
+        Promise.resolve()
+          .then(() => startSession(target))
+          .then(() => {
+            if (target.destroyed) return;
+            target.emitter.emit('ready', instance.getState());
+            resolve(instance);
+          })
+          .catch(err => {
+            reportError(target, err, { stage: 'init' });
+            reject(err);
+          });
+      });
+      // Avoid unhandled rejections for callers that only use events
+      ready.catch(() => {});
+      target.readyPromise = ready;
+      return ready;
+    }
+
+    instance.ready = start(session);
 
-    container.addEventListener('change', debouncedHandler);
+    return instance;
   }
 
   // ============================================================================
@@ -659,68 +3473,95 @@
   // ============================================================================
 
   /**
-   * Entry point: initialize everything once DOM is ready
+   * Entry point: create the page's default configurator from window.vectaryConfig
    */
   async function init() {
-    const mapping = window.freedomChairMapping;
     const config = window.vectaryConfig;
+    const mapping = (config && config.mapping) || window.freedomChairMapping;
 
-    if (!mapping || !config) {
+    if (!config || (!mapping && !config.mappings)) {
       // eslint-disable-next-line no-console
       console.error('freedomChairMapping or vectaryConfig is not defined on window.');
       return;
     }
+    if (config.autoInit === false) return;
 
-    try {
-      const iframeId = config.iframeId;
-      const iframe = document.getElementById(iframeId);
-      if (!iframe) {
-        throw new Error(`Iframe with id "${iframeId}" not found.`);
-      }
+    const locales = config.locales || window.freedomChairLocales;
+    const configurator = createConfigurator(Object.assign({}, config, { mapping, locales }));
+    window.vectaryConfigurator = configurator;
+    document.documentElement.lang = configurator.getState().locale;
 
-      // Show loading state
-      const loadingEl = document.querySelector('#vectary-options-container .loading');
-      if (loadingEl) {
-        loadingEl.textContent = 'Initializing 3D configurator...';
-      }
+    // Expose globally for debugging (the model API changes when switching products)
+    const exposeModelApi = () => {
+      window.vectaryModelApi = configurator.getModelApi();
+    };
+    configurator.on('ready', exposeModelApi);
+    configurator.on('connection', exposeModelApi);
 
-      // Initialize Vectary API
-      const modelApi = await initVectaryApi(iframeId, config);
+    try {
+      await configurator.ready;
 
-      // Expose globally for debugging
-      window.vectaryModelApi = modelApi;
       window.inspectVectaryAPI =
         window.inspectVectaryAPI ||
         (async function () {
+          const modelApi = configurator.getModelApi();
           const objects = await modelApi.getObjects();
           const configState = await modelApi.getConfigurationState();
-          return { objects, configState, fileCache, objectCache, activeMaterialObjects };
+          // Material names per 3D file let validate-catalog.js --scene check the matching of every option
+          const matchReports = configurator.getMatchReports();
+          const importedMaterials = {};
+          matchReports.forEach(report => {
+            importedMaterials[report.file] = report.candidates;
+          });
+          return { objects, configState, fileCache, state: configurator.getState(), matchReports, importedMaterials };
         });
-
-      // Load materials CSV and get objects in parallel
-      const [materialsData, objects] = await Promise.all([
-        loadMaterialsCsv(config.materialsCsvUrl),
-        modelApi.getObjects(),
-      ]);
-
-      const objectIndex = buildObjectIndex(objects);
-      debugLog(config, 'Initial objects index', objectIndex);
-
-      // Clear loading message
-      if (loadingEl && loadingEl.parentElement) {
-        loadingEl.parentElement.removeChild(loadingEl);
-      }
-
-      // Bind UI handlers
-      bindUiHandlers(modelApi, mapping, materialsData, objectIndex, config);
-      debugLog(config, 'Vectary simple configurator initialized');
     } catch (err) {
-      // eslint-disable-next-line no-console
-      console.error('Failed to initialize Vectary simple configurator', err);
-      showErrorMessage('Failed to initialize 3D configurator. Please reload the page and check the browser console.');
+      // Already reported through the configurator (stage "init"); a retry reloads the page
+      const i18n = createTranslator(locales, configurator.getState().locale);
+      const retryable = err instanceof ConfiguratorError && err.retryable;
+      showErrorMessage(
+        err instanceof ConfiguratorError ? describeError(err, i18n) : i18n.t('status.initFailed'),
+        null,
+        retryable ? { label: i18n.t('error.retry'), run: () => window.location.reload() } : null
+      );
     }
   }
 
+  // Node usage (tests): expose the helpers without starting the configurator
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      buildQuotePayload,
+      toQuoteFormFields,
+      loadMaterialObject,
+      applyMaterial,
+      applyVariant,
+      createSession,
+      scheduleSelection,
+      detectSceneSelections,
+      applySelectionBatch,
+      moveThroughUndoHistory,
+      restoreHistoryEntry,
+      initVectaryApi,
+      reconnectScene,
+    };
+  }
+
+  if (!isBrowser) return;
+
+  window.VectaryConfigurator = {
+    createConfigurator,
+    ConfiguratorError,
+    CsvLoadError,
+    FileFetchError,
+    MaterialImportError,
+    MaterialMatchError,
+    ApplyError,
+    VariantNotFoundError,
+    ApiConnectError,
+    InputError,
+    RuleViolationError,
+  };
+
   // Start initialization when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
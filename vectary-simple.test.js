@@ -0,0 +1,1313 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  buildQuotePayload,
+  toQuoteFormFields,
+  loadMaterialObject,
+  applyMaterial,
+  applyVariant,
+  createSession,
+  scheduleSelection,
+  detectSceneSelections,
+  applySelectionBatch,
+  moveThroughUndoHistory,
+  restoreHistoryEntry,
+  initVectaryApi,
+  reconnectScene,
+} = require('./vectary-simple.js');
+const {
+  FileFetchError,
+  MaterialImportError,
+  MaterialMatchError,
+  VariantNotFoundError,
+  ApiConnectError,
+  ApplyError,
+  InputError,
+  RuleViolationError,
+  reportError,
+  describeError,
+} = require('./vectary-utils.js');
+const {
+  parseCsv,
+  indexMaterialsRows,
+  indexVariantsRows,
+  buildCatalog,
+  findMatchingMaterial,
+  matchMaterial,
+  getMatchingStrategy,
+  validateCatalog,
+  buildObjectIndex,
+} = require('./vectary-catalog.js');
+const { resolveLocale, createTranslator } = require('./vectary-i18n.js');
+const { findRuleViolations } = require('./vectary-rules.js');
+const { calculatePrice, updatePriceSummary } = require('./vectary-pricing.js');
+const { buildSnapshotCaption, captureView, loadImage } = require('./vectary-snapshot.js');
+const { buildBillOfMaterials, toBomCsv, renderSpecSheetHtml } = require('./vectary-spec-sheet.js');
+const {
+  saveConfiguration,
+  exportSavedConfigurations,
+  importSavedConfigurations,
+  compareConfigurations,
+} = require('./vectary-saved-configurations.js');
+const MockVctrModelApi = require('./vctr-model-api-mock.js');
+const freedomChairMapping = require('./freedom-chair-mapping.js');
+const freedomChairLocales = require('./freedom-chair-locales.js');
+
+// CSVs under fixtures/ add the sample prices, swatches and Base_types geometry the shipped catalog leaves out
+function readCsv(name, directory = 'vectary') {
+  return parseCsv(fs.readFileSync(path.join(__dirname, directory, name), 'utf8'));
+}
+
+// The Freedom mapping with base options that also switch the Base_types geometry of the fixture variants CSV
+const baseVariants = { 'Wheels (Hard Floors)': 'wheels', 'Glides (Soft/Carpet Floors)': 'glides', 'Locking Castors': 'locking castors' };
+const fixtureMapping = Object.assign({}, freedomChairMapping, {
+  materials: Object.assign({}, freedomChairMapping.materials, {
+    base: Object.fromEntries(
+      Object.entries(freedomChairMapping.materials.base).map(([optionLabel, entry]) => [
+        optionLabel,
+        Object.assign({}, entry, { variants: { Base_types: baseVariants[optionLabel] } }),
+      ])
+    ),
+  }),
+});
+
+function createCatalog() {
+  const materialsData = indexMaterialsRows(readCsv('Vectary_Materials.csv', 'fixtures'));
+  const variantsData = indexVariantsRows(readCsv('Vectary_Products_Variants.csv', 'fixtures'));
+  const mapping = buildCatalog(materialsData, variantsData, fixtureMapping, 'Freedom_headrest');
+  return { materialsData, variantsData, mapping };
+}
+
+const sceneObjects = [
+  {
+    id: 'root',
+    name: 'Freedom_headrest',
+    children: [
+      { id: 'seat-1', name: 'fabric_seat' },
+      { id: 'back-1', name: 'fabric_backrest', children: [{ id: 'head-1', name: 'fabric_headrest' }] },
+      { id: 'metal-1', name: 'black_metal' },
+    ],
+  },
+];
+
+// Serve files from disk instead of the network
+function stubFetch(t) {
+  const original = global.fetch;
+  const requested = [];
+  global.fetch = async url => {
+    requested.push(url);
+    return { ok: true, status: 200, statusText: 'OK', blob: async () => new Blob(['vctr3']) };
+  };
+  t.after(() => {
+    global.fetch = original;
+  });
+  return requested;
+}
+
+// Session on the Freedom catalog with a mock scene: `config` goes to createSession,
+// `objects`, `configurationState` and `imports` to the MockVctrModelApi
+function createTestSession(options) {
+  const { config, objects = [], configurationState, imports } = options || {};
+  const modelApi = new MockVctrModelApi('iframe', { objects, configurationState, imports });
+  const session = createSession(config || {});
+  Object.assign(session, createCatalog(), { modelApi, productName: 'Freedom_headrest', objectIndex: buildObjectIndex(objects) });
+  return { session, modelApi };
+}
+
+// Variant entries of the Freedom scene with the standard lift and the armrest on
+const variantState = [
+  { variant: 'Lift_heights', active_object: 'Standard' },
+  { variant: 'Armrest_on_off', active_object: 'armrest on' },
+];
+
+test('parseCsv handles quoted fields, escaped quotes and CRLF line endings', () => {
+  const rows = parseCsv('name,colors,note\r\nvanir,"a, b",plain\r\ncorde4,c,"say ""hi"""\r\n\r\n');
+  assert.deepEqual(rows, [
+    { name: 'vanir', colors: 'a, b', note: 'plain' },
+    { name: 'corde4', colors: 'c', note: 'say "hi"' },
+  ]);
+});
+
+test('parseCsv trims values and fills missing columns', () => {
+  const rows = parseCsv(' name , type \nblack_plastic');
+  assert.deepEqual(rows, [{ name: 'black_plastic', type: '' }]);
+});
+
+test('parseCsv returns an empty list for empty input', () => {
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('findMatchingMaterial tier 1: exact name', () => {
+  const obj = { materials: [{ name: 'vanir1130' }, { name: 'vanir113' }] };
+  assert.equal(findMatchingMaterial(obj, 'vanir113', 'vanir113'), obj.materials[1]);
+});
+
+test('findMatchingMaterial tier 2: normalized name', () => {
+  const obj = { materials: [{ name: 'Other' }, { name: 'corde4 Black' }] };
+  assert.equal(findMatchingMaterial(obj, 'Corde4_black', 'Corde4_black'), obj.materials[1]);
+});
+
+test('findMatchingMaterial tier 3: partial / suffix name', () => {
+  const obj = { materials: [{ name: 'Other' }, { name: 'Fabric_chrome_glossy' }] };
+  assert.equal(findMatchingMaterial(obj, 'chrome_glossy', null), obj.materials[1]);
+});
+
+test('findMatchingMaterial tier 4: color property', () => {
+  const obj = { materials: [{ name: 'Material A' }, { name: 'Material B', color: 'Graphite Metal' }] };
+  assert.equal(findMatchingMaterial(obj, 'unrelated', 'graphite_metal'), obj.materials[1]);
+});
+
+test('findMatchingMaterial tier 5: short color token', () => {
+  const obj = { materials: [{ name: 'Material A' }, { name: 'Pumpkin (orange)' }] };
+  assert.equal(findMatchingMaterial(obj, 'Corde4_pumpkin', 'Corde4_pumpkin'), obj.materials[1]);
+});
+
+test('findMatchingMaterial returns null without materials or matches', () => {
+  assert.equal(findMatchingMaterial({ materials: [] }, 'x', 'y'), null);
+  assert.equal(findMatchingMaterial({ materials: [{ name: 'Material A' }] }, 'x', 'y_z'), null);
+});
+
+test('findMatchingMaterial tier 3 ignores a short material name contained in a longer target', () => {
+  const obj = { materials: [{ name: 'black' }, { name: 'corde4_black_melange_v2' }] };
+  assert.equal(findMatchingMaterial(obj, 'corde4_black_melange', null), obj.materials[1]);
+  assert.equal(findMatchingMaterial({ materials: [{ name: 'black' }] }, 'corde4_black_melange', null), null);
+});
+
+test('matchMaterial reports the tiers tried and fails in strict mode instead of guessing', () => {
+  const obj = { materials: [{ name: 'Default' }, { name: 'navy_blue' }, { name: 'navy_dark' }] };
+
+  const loose = matchMaterial(obj, { name: 'Corde4_pumpkin', color: 'Corde4_pumpkin' });
+  assert.equal(loose.material, obj.materials[0]);
+  assert.equal(loose.tier, 'fallback');
+  assert.deepEqual(loose.candidates, ['Default', 'navy_blue', 'navy_dark']);
+  assert.deepEqual(loose.tiers.map(entry => entry.tier), ['exact', 'normalized', 'partial', 'color', 'token']);
+
+  const mapping = { matching: { tiers: ['exact', 'partial'], applications: { fabric_seat: { strict: true } } } };
+  assert.deepEqual(getMatchingStrategy(mapping, 'black metal'), { tiers: ['exact', 'partial'], strict: false });
+  const strategy = getMatchingStrategy(mapping, 'fabric_seat');
+
+  const missing = matchMaterial(obj, { name: 'Corde4_pumpkin', color: 'Corde4_pumpkin' }, strategy);
+  assert.equal(missing.material, null);
+  assert.match(missing.error, /No tier \(exact, partial\) matched/);
+
+  const ambiguous = matchMaterial(obj, { name: 'navy', color: 'navy' }, strategy);
+  assert.equal(ambiguous.material, null);
+  assert.ok(ambiguous.ambiguous);
+  assert.deepEqual(ambiguous.tiers, [
+    { tier: 'exact', matches: [] },
+    { tier: 'partial', matches: ['navy_blue', 'navy_dark'] },
+  ]);
+});
+
+test('loadMaterialObject returns the object added by the import and caches it', async t => {
+  const requested = stubFetch(t);
+  const { session, modelApi } = createTestSession({
+    objects: sceneObjects,
+    imports: { 'graphite_metal.vctr3': { name: 'graphite_metal', materials: [{ name: 'graphite_metal' }] } },
+  });
+
+  const row = { name: 'graphite_metal', _3d_file: 'graphite_metal.vctr3' };
+  const imported = await loadMaterialObject(session, row);
+
+  assert.equal(imported.name, 'graphite_metal');
+  assert.ok(imported.id.startsWith('imported-'));
+  assert.deepEqual(requested, ['./vectary/3d_files/graphite_metal.vctr3']);
+  assert.equal(session.objectCache.get('./vectary/3d_files/graphite_metal.vctr3'), imported);
+
+  const again = await loadMaterialObject(session, row);
+  assert.equal(again, imported);
+  assert.equal(modelApi.calls.filter(call => call.method === 'importFiles').length, 1);
+});
+
+test('loadMaterialObject fails when the import adds no object', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession({ objects: sceneObjects });
+  modelApi.importFiles = async () => {};
+
+  await assert.rejects(loadMaterialObject(session, { name: 'x', _3d_file: 'missing_import.vctr3' }), /Imported object not found/);
+});
+
+test('applyMaterial applies the matched material to every target object', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession({
+    objects: sceneObjects,
+    imports: {
+      'black_metal.vctr3': { name: 'Black_metal', materials: [{ name: 'Default' }, { name: 'Black_metal' }] },
+    },
+  });
+
+  await applyMaterial(session, 'black metal', 'Black Metal');
+
+  const applied = modelApi.calls.filter(call => call.method === 'addOrEditMaterial');
+  assert.deepEqual(
+    applied.map(call => [call.args[0], call.args[1].name]),
+    [['metal-1', 'Black_metal']]
+  );
+  assert.equal(session.activeMaterialObjects.get('black metal')[0].name, 'Black_metal');
+});
+
+test('applyMaterial rejects an unmatched fabric in strict mode and records the match report', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession({
+    objects: sceneObjects,
+    imports: {
+      'corde4_humanscale.vctr3': { name: 'corde4_humanscale', materials: [{ name: 'Corde4_black' }, { name: 'Corde4_brown' }] },
+    },
+  });
+
+  await assert.rejects(applyMaterial(session, 'fabric_seat', 'Corde4 (Humanscale) - Navy'), /No matching material found/);
+  assert.equal(modelApi.calls.filter(call => call.method === 'addOrEditMaterial').length, 0);
+
+  await applyMaterial(session, 'fabric_seat', 'Corde4 (Humanscale) - Brown');
+  const report = session.matchReports.get('fabric_seat:Corde4 (Humanscale) - Brown');
+  assert.equal(report.tier, 'exact');
+  assert.equal(report.file, './vectary/3d_files/corde4_humanscale.vctr3');
+});
+
+test('applyMaterial fails with typed errors that carry the option and the file', async t => {
+  const original = global.fetch;
+  global.fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found' });
+  t.after(() => {
+    global.fetch = original;
+  });
+  const { session, modelApi } = createTestSession({ objects: sceneObjects });
+
+  const err = await applyMaterial(session, 'black metal', 'Chrome Glossy').catch(e => e);
+  assert.ok(err instanceof FileFetchError);
+  assert.equal(err.code, 'fileFetch');
+  assert.equal(err.retryable, true);
+  assert.equal(err.context.application, 'black metal');
+  assert.equal(err.context.option, 'Chrome Glossy');
+  assert.equal(err.context.fileUrl, './vectary/3d_files/chrome_glossy.vctr3');
+  assert.equal(err.context.status, 404);
+});
+
+test('reportError sends the error with its context to the reporter and the error event', () => {
+  const reported = [];
+  const emitted = [];
+  const session = createSession({ reporter: (error, details) => reported.push({ error, details }) });
+  session.productName = 'Freedom_headrest';
+  session.emitter.on('error', payload => emitted.push(payload));
+  const err = new MaterialMatchError('No matching material found', { application: 'fabric_seat', option: 'Corde4 (Humanscale) - Navy' });
+
+  const logged = [];
+  const originalError = console.error;
+  console.error = (...args) => logged.push(args);
+  try {
+    reportError(session, err, { stage: 'select' });
+    reportError(createSession({}), err, { stage: 'select' });
+  } finally {
+    console.error = originalError;
+  }
+
+  // Only the session without a reporter falls back to the console
+  assert.equal(logged.length, 1);
+  assert.equal(logged[0][2], err);
+  assert.equal(reported.length, 1);
+  assert.equal(reported[0].error, err);
+  assert.deepEqual(reported[0].details, {
+    code: 'materialMatch',
+    product: 'Freedom_headrest',
+    locale: 'en',
+    application: 'fabric_seat',
+    option: 'Corde4 (Humanscale) - Navy',
+    stage: 'select',
+  });
+  assert.deepEqual(emitted, [{ error: err, stage: 'select' }]);
+  assert.equal(err.retryable, false);
+});
+
+test('describeError shows the translated message of typed errors and keeps untyped messages', () => {
+  const i18n = createTranslator(freedomChairLocales, 'de');
+  const err = new VariantNotFoundError('Invalid variant value', { application: 'base', option: 'Locking Castors' });
+
+  assert.equal(describeError(err, i18n), '„Feststellbare Rollen“ ist für dieses Produkt nicht erhältlich. Bitte wählen Sie eine andere Option.');
+  assert.equal(describeError(new Error('Bitte wählen Sie: Stoff'), i18n), 'Bitte wählen Sie: Stoff');
+});
+
+test('validateCatalog runs every option of a known 3D file through its matching strategy', () => {
+  const { materialsData, variantsData } = createCatalog();
+  const report = validateCatalog(materialsData, variantsData, fixtureMapping, {
+    importedMaterials: {
+      './vectary/3d_files/black_metal.vctr3': ['Default', 'Steel'],
+      './vectary/3d_files/corde4_humanscale.vctr3': ['Corde4_black', 'Corde4_brown'],
+    },
+  });
+
+  const codes = issues => issues.map(issue => `${issue.code}:${issue.context.option}`);
+  assert.ok(codes(report.errors).includes('MATERIAL_MATCH_FALLBACK:Black Metal'));
+  assert.ok(codes(report.errors).includes('MATERIAL_MATCH_FAILED:Corde4 (Humanscale) - Navy'));
+  assert.ok(!codes(report.errors).includes('MATERIAL_MATCH_FAILED:Corde4 (Humanscale) - Black'));
+  const black = report.matches.find(match => match.option === 'Corde4 (Humanscale) - Black');
+  assert.equal(black.material, 'Corde4_black');
+  assert.equal(black.tier, 'exact');
+});
+
+test('applyVariant rewrites only the matching configuration entries', async () => {
+  const { session, modelApi } = createTestSession({
+    configurationState: [
+      { variant: 'Lift_heights', active_object: 'Standard', active_object_instanceId: 'abc' },
+      { variant: 'Armrest_on_off', active_object: 'armrest on' },
+    ],
+  });
+
+  await applyVariant(session, 'lift', 'Tall');
+
+  assert.deepEqual(modelApi.configurationState, [
+    { variant: 'Lift_heights', active_object: 'Tall' },
+    { variant: 'Armrest_on_off', active_object: 'armrest on' },
+  ]);
+});
+
+test('applyVariant rejects values not listed in the variants CSV', async () => {
+  const { session, modelApi } = createTestSession({
+    configurationState: [{ variant: 'Lift_heights', active_object: 'Standard' }],
+  });
+  session.mapping.materials.lift.Giant = { name: 'Lift_heights', color: 'Giant' };
+
+  await assert.rejects(applyVariant(session, 'lift', 'Giant'), /not a valid active_object/);
+  assert.equal(modelApi.calls.filter(call => call.method === 'setConfigurationState').length, 0);
+});
+
+test('applyVariant fails and leaves the state alone when the scene has no entry for the variant', async () => {
+  const { session, modelApi } = createTestSession({ configurationState: [{ variant: 'Other', active_object: 'x' }] });
+
+  const err = await applyVariant(session, 'lift', 'High').catch(error => error);
+
+  assert.ok(err instanceof ApplyError);
+  assert.deepEqual(err.context, { application: 'lift', option: 'High', variant: 'Lift_heights', value: 'High' });
+  assert.equal(modelApi.calls.filter(call => call.method === 'setConfigurationState').length, 0);
+});
+
+test('buildQuotePayload resolves materials and variants and lists missing applications', () => {
+  const { session } = createTestSession();
+  session.selections.set('fabric_seat', 'Vanir (kvadrat) - 443');
+  session.selections.set('lift', 'Tall');
+
+  const payload = buildQuotePayload(session);
+
+  assert.equal(payload.product, 'Freedom_headrest');
+  assert.deepEqual(payload.options, [
+    {
+      application: 'fabric_seat',
+      title: 'Fabric Options',
+      option: 'Vanir (kvadrat) - 443',
+      material: { name: 'vanir_kvadrat', color: 'vanir443', type: 'fabric' },
+    },
+    {
+      application: 'lift',
+      title: 'Lift Height',
+      option: 'Tall',
+      variants: [{ variant: 'Lift_heights', active_object: 'Tall' }],
+    },
+  ]);
+  assert.deepEqual(payload.missing, ['Metal Finish', 'Armrest', 'Base Options']);
+  assert.equal(payload.price.total, 1290 + 45);
+
+  assert.deepEqual(toQuoteFormFields(payload), [
+    ['product', 'Freedom_headrest'],
+    ['qty', '1'],
+    ['options[fabric_seat]', 'Vanir (kvadrat) - 443'],
+    ['options[lift]', 'Tall'],
+    ['price[total]', '1335'],
+    ['price[currency]', 'EUR'],
+  ]);
+});
+
+test('a product without a base_price gets no quote instead of a total of 0', () => {
+  const { session } = createTestSession();
+  session.variantsData = indexVariantsRows(readCsv('Vectary_Products_Variants.csv'));
+  session.priceElement = { innerHTML: '<ul></ul>' };
+  session.selections.set('lift', 'Tall');
+
+  const payload = buildQuotePayload(session);
+  assert.equal(payload.price, null);
+  assert.deepEqual(toQuoteFormFields(payload), [
+    ['product', 'Freedom_headrest'],
+    ['qty', '1'],
+    ['options[lift]', 'Tall'],
+  ]);
+  updatePriceSummary(session);
+  assert.equal(session.priceElement.innerHTML, '');
+});
+
+test('buildSnapshotCaption lists the product, selected options and total', () => {
+  const { session } = createTestSession({ config: { pricing: { locale: 'en-IE' } } });
+  session.selections.set('black metal', 'Chrome Glossy');
+
+  assert.deepEqual(buildSnapshotCaption(session), ['Freedom Headrest', 'Metal Finish: Chrome Glossy', 'Total: €1,375.00']);
+});
+
+test('buildBillOfMaterials lists every part with its material and the variant choices', () => {
+  const { session } = createTestSession();
+  session.selections.set('fabric_seat', 'Vanir (kvadrat) - 443');
+  session.selections.set('fabric_seat/fabric_headrest', 'Corde4 (Humanscale) - Black');
+  session.selections.set('fabric_armrest', 'Without Armrest');
+  session.selections.set('lift', 'Tall');
+
+  const bom = buildBillOfMaterials(session.mapping, buildQuotePayload(session));
+
+  assert.equal(bom.product, 'Freedom_headrest');
+  assert.deepEqual(
+    bom.parts.map(line => [line.part, line.material.name, line.material.color, line.material.type]),
+    [
+      ['fabric_seat', 'vanir_kvadrat', 'vanir443', 'fabric'],
+      ['fabric_backrest', 'vanir_kvadrat', 'vanir443', 'fabric'],
+      ['fabric_headrest', 'corde4_humanscale', 'Corde4_black', 'fabric'],
+      ['fabric_armrest', 'vanir_kvadrat', 'vanir443', 'fabric'],
+    ]
+  );
+  assert.deepEqual(
+    bom.variants.map(line => [line.application, line.variant, line.active_object]),
+    [
+      ['fabric_armrest', 'Armrest_on_off', 'armrest off'],
+      ['lift', 'Lift_heights', 'Tall'],
+    ]
+  );
+  assert.deepEqual(bom.missing, ['Metal Finish', 'Base Options']);
+
+  const rows = parseCsv(toBomCsv(bom));
+  assert.equal(rows.length, 6);
+  assert.deepEqual(rows[2], {
+    section: 'part',
+    application: 'fabric_seat',
+    part: 'fabric_headrest',
+    option: 'Corde4 (Humanscale) - Black',
+    material: 'corde4_humanscale',
+    color: 'Corde4_black',
+    type: 'fabric',
+    variant: '',
+    active_object: '',
+  });
+  assert.equal(rows[5].active_object, 'Tall');
+});
+
+test('renderSpecSheetHtml prints translated tables and escapes catalog text', () => {
+  const { session } = createTestSession({ config: { locale: 'de', locales: freedomChairLocales, pricing: { locale: 'de-DE' } } });
+  session.selections.set('lift', 'Tall');
+  const bom = buildBillOfMaterials(session.mapping, buildQuotePayload(session));
+  bom.variants[0].active_object = '<Tall & "wide">';
+
+  const html = renderSpecSheetHtml(session, bom, 'data:image/png;base64,AAAA');
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<html lang="de">/);
+  assert.match(html, /<img class="product-image" src="data:image\/png;base64,AAAA"/);
+  assert.match(html, /<th>Variante<\/th>/);
+  assert.match(html, /<td>Sitzhöhe<\/td><td>Hoch<\/td><td>Lift_heights<\/td>/);
+  assert.match(html, /&lt;Tall &amp; &quot;wide&quot;&gt;/);
+  assert.ok(!html.includes('<Tall'));
+  assert.match(html, /<h2>Materialien<\/h2>/);
+  assert.match(html, /Nicht gewählt: Stoffoptionen, /);
+});
+
+test('screenshots returned as URLs are kept and loaded with CORS for the snapshot canvas', async t => {
+  const modelApi = new MockVctrModelApi('iframe', { cameras: ['Front', 'Side'] });
+  modelApi.takeScreenshot = async () => 'https://cdn.example.com/shots/front.png';
+  const url = await captureView(modelApi, 'Side', 0);
+  assert.equal(url, 'https://cdn.example.com/shots/front.png');
+  assert.equal(modelApi.activeCamera, 'Side');
+
+  const loaded = [];
+  global.Image = class {
+    set src(value) {
+      loaded.push([value, this.crossOrigin]);
+      setImmediate(() => this.onload());
+    }
+  };
+  t.after(() => {
+    delete global.Image;
+  });
+  await loadImage(url);
+  assert.deepEqual(loaded, [['https://cdn.example.com/shots/front.png', 'anonymous']]);
+});
+
+test('two sessions on one page only share the default elements with the one that names no container', t => {
+  const pageElements = new Map();
+  global.document = {
+    getElementById: id => {
+      if (!pageElements.has(id)) pageElements.set(id, { id });
+      return pageElements.get(id);
+    },
+  };
+  t.after(() => {
+    delete global.document;
+  });
+
+  const page = createSession({});
+  const widgetContainer = { id: 'widget-options' };
+  const widget = createSession({ container: widgetContainer, priceElement: 'widget-price' });
+  const headless = createSession({ container: null });
+
+  assert.equal(page.container, pageElements.get('vectary-options-container'));
+  assert.equal(page.priceElement, pageElements.get('vectary-price'));
+  assert.equal(widget.container, widgetContainer);
+  assert.equal(widget.priceElement, pageElements.get('widget-price'));
+  assert.equal(widget.panel, null);
+  assert.equal(widget.resetButton, null);
+  ['container', 'panel', 'priceElement', 'quoteButton', 'savedElement', 'productElement'].forEach(key => {
+    assert.equal(headless[key], null, key);
+  });
+
+  page.selections.set('lift', 'Tall');
+  assert.equal(widget.selections.size, 0);
+  assert.notEqual(page.objectCache, widget.objectCache);
+});
+
+test('scheduleSelection coalesces rapid changes and ends on the last choice', async () => {
+  const { session, modelApi } = createTestSession({ configurationState: variantState });
+
+  const results = [
+    scheduleSelection(session, 'lift', 'Tall', 'user'),
+    scheduleSelection(session, 'lift', 'Standard', 'user'),
+    scheduleSelection(session, 'lift', 'Tall', 'user'),
+    scheduleSelection(session, 'lift', 'Standard', 'user'),
+  ];
+  await Promise.all(results);
+
+  assert.equal(session.selections.get('lift'), 'Standard');
+  assert.equal(modelApi.configurationState[0].active_object, 'Standard');
+  // None had started yet, so all four collapsed into one request
+  assert.equal(modelApi.calls.filter(call => call.method === 'setConfigurationState').length, 1);
+  assert.equal(await results[0], await results[3]);
+  assert.equal(session.scheduler.pending.size, 0);
+  assert.equal(session.scheduler.running.size, 0);
+});
+
+test('scheduleSelection keeps changes to other applications and runs them one at a time', async () => {
+  const { session, modelApi } = createTestSession({ configurationState: variantState });
+  let active = 0;
+  let maxActive = 0;
+  const setConfigurationState = modelApi.setConfigurationState.bind(modelApi);
+  modelApi.setConfigurationState = async state => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await setConfigurationState(state);
+    active--;
+  };
+
+  await Promise.all([
+    scheduleSelection(session, 'lift', 'Tall', 'user'),
+    scheduleSelection(session, 'fabric_armrest', 'Without Armrest', 'user'),
+    scheduleSelection(session, 'lift', 'Standard', 'user'),
+  ]);
+
+  assert.equal(maxActive, 1);
+  assert.equal(session.selections.get('lift'), 'Standard');
+  assert.equal(session.selections.get('fabric_armrest'), 'Without Armrest');
+});
+
+test('loadMaterialObject reports download and import progress', async t => {
+  const original = global.fetch;
+  global.fetch = async () =>
+    new Response(new Uint8Array(2048), { headers: { 'content-length': '2048', 'content-type': 'model/vctr3' } });
+  t.after(() => {
+    global.fetch = original;
+  });
+  const { session, modelApi } = createTestSession({
+    objects: sceneObjects,
+    imports: { 'progress_test.vctr3': { name: 'progress_test', materials: [{ name: 'progress_test' }] } },
+  });
+  const events = [];
+  session.emitter.on('progress', event => events.push(event));
+
+  await loadMaterialObject(session, { name: 'progress_test', _3d_file: 'progress_test.vctr3' });
+
+  const stages = events.map(event => event.stage);
+  assert.equal(stages[0], 'download');
+  assert.deepEqual(stages.slice(-2), ['import', 'done']);
+  const downloaded = events.filter(event => event.stage === 'download').pop();
+  assert.deepEqual([downloaded.loaded, downloaded.total, downloaded.material], [2048, 2048, 'Progress Test']);
+  assert.equal(session.loadProgress.size, 0);
+});
+
+test('applyMaterial evicts unused imported objects beyond the resident limit and re-imports them', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession({
+    objects: sceneObjects,
+    imports: {
+      'black_metal.vctr3': { name: 'Black_metal', materials: [{ name: 'Black_metal' }] },
+      'graphite_metal.vctr3': { name: 'graphite_metal', materials: [{ name: 'graphite_metal' }] },
+      'chrome_glossy.vctr3': { name: 'chrome_glossy', materials: [{ name: 'chrome_glossy' }] },
+    },
+    config: { cache: { maxResidentObjects: 1 } },
+  });
+
+  await applyMaterial(session, 'black metal', 'Black Metal');
+  const firstBlack = session.activeMaterialObjects.get('black metal')[0];
+  await applyMaterial(session, 'black metal', 'Graphite Metal');
+  await applyMaterial(session, 'black metal', 'Chrome Glossy');
+  await applyMaterial(session, 'black metal', 'Black Metal');
+
+  const deleted = modelApi.calls.filter(call => call.method === 'deleteObjects').map(call => call.args[0][0]);
+  const active = session.activeMaterialObjects.get('black metal')[0];
+  assert.equal(deleted.length, 3);
+  assert.ok(deleted.includes(firstBlack.id));
+  assert.notEqual(active.id, firstBlack.id);
+  assert.deepEqual(Array.from(session.objectCache.keys()), ['./vectary/3d_files/black_metal.vctr3']);
+  assert.equal(session.objectCache.get('./vectary/3d_files/black_metal.vctr3'), active);
+  assert.ok(modelApi.findObject(active.id));
+  assert.equal(modelApi.findObject(firstBlack.id), null);
+});
+
+test('without deleteObjects imported objects are kept and reused and a warning is logged once', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession({
+    objects: sceneObjects,
+    imports: {
+      'black_metal.vctr3': { name: 'Black_metal', materials: [{ name: 'Black_metal' }] },
+      'graphite_metal.vctr3': { name: 'graphite_metal', materials: [{ name: 'graphite_metal' }] },
+      'chrome_glossy.vctr3': { name: 'chrome_glossy', materials: [{ name: 'chrome_glossy' }] },
+    },
+    config: { cache: { maxResidentObjects: 1 } },
+  });
+  modelApi.deleteObjects = undefined;
+
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    await applyMaterial(session, 'black metal', 'Black Metal');
+    const firstBlack = session.activeMaterialObjects.get('black metal')[0];
+    await applyMaterial(session, 'black metal', 'Graphite Metal');
+    await applyMaterial(session, 'black metal', 'Chrome Glossy');
+    await applyMaterial(session, 'black metal', 'Black Metal');
+
+    assert.equal(modelApi.calls.filter(call => call.method === 'importFiles').length, 3);
+    assert.equal(session.objectCache.size, 3);
+    assert.equal(session.activeMaterialObjects.get('black metal')[0].id, firstBlack.id);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /cannot delete objects/);
+  } finally {
+    console.warn = originalWarn;
+  }
+});
+
+test('findRuleViolations reports excluded options and material types on the objects a rule names', () => {
+  const catalog = createCatalog();
+  // The Freedom mapping only routes metals to metal_armrest; its rule guards a fabric application reaching it
+  const mapping = Object.assign({}, catalog.mapping, {
+    objectNames: Object.assign({}, catalog.mapping.objectNames, {
+      fabric_seat: ['fabric_seat', 'fabric_backrest', 'fabric_headrest', 'metal_armrest'],
+    }),
+  });
+
+  const violations = findRuleViolations(
+    mapping,
+    catalog.materialsData,
+    new Map([
+      ['fabric_seat', 'Vanir (kvadrat) - 113'],
+      ['fabric_seat/fabric_headrest', 'Corde4 (Humanscale) - Black'],
+      ['black metal', 'Chrome Glossy'],
+      ['base', 'Glides (Soft/Carpet Floors)'],
+      ['lift', 'High'],
+    ])
+  );
+
+  assert.deepEqual(violations, [
+    { application: 'fabric_seat', option: 'Vanir (kvadrat) - 113', reason: 'Fabric cannot be applied to metal armrests.' },
+    { application: 'lift', option: 'High', reason: 'The high lift is not stable on glides.' },
+  ]);
+  assert.deepEqual(findRuleViolations(catalog.mapping, catalog.materialsData, new Map([['fabric_seat', 'Vanir (kvadrat) - 113']])), []);
+});
+
+test('selections the rules exclude fail with a RuleViolationError that explains why', async () => {
+  const { session, modelApi } = createTestSession({ configurationState: variantState });
+  session.selections.set('base', 'Glides (Soft/Carpet Floors)');
+
+  const err = await scheduleSelection(session, 'lift', 'High', 'user').catch(error => error);
+  assert.ok(err instanceof RuleViolationError);
+  assert.equal(err.code, 'ruleViolation');
+  assert.deepEqual(err.context.reasons, ['The high lift is not stable on glides.']);
+  assert.match(describeError(err, session.i18n), /not stable on glides/);
+
+  await assert.rejects(
+    applySelectionBatch(session, new Map([['base', 'Glides (Soft/Carpet Floors)'], ['lift', 'High']]), 'saved'),
+    RuleViolationError
+  );
+  assert.equal(modelApi.calls.filter(call => call.method === 'setConfigurationState').length, 0);
+});
+
+test('buildCatalog collects defaults from the mapping and both CSVs', () => {
+  const { mapping } = createCatalog();
+  assert.deepEqual(mapping.defaults, {
+    'black metal': 'Black Metal',
+    fabric_armrest: 'With Armrest',
+    lift: 'Standard',
+    base: 'Wheels (Hard Floors)',
+  });
+});
+
+test('buildCatalog keeps the variants and materials of each product apart', () => {
+  const materialsRows = readCsv('Vectary_Materials.csv').concat([
+    { name: 'Task_metal', type: 'metal', color_options: 'task_silver', applications: 'black_metal', products: 'Freedom_task' },
+  ]);
+  const variantsRows = readCsv('Vectary_Products_Variants.csv').concat([
+    { name: 'Freedom_task', variants: 'Lift_heights', variant_options: 'Lift_heights: Standard | Low (+20)', default_options: 'Lift_heights: Low' },
+  ]);
+  const materialsData = indexMaterialsRows(materialsRows);
+  const variantsData = indexVariantsRows(variantsRows);
+
+  const headrest = buildCatalog(materialsData, variantsData, freedomChairMapping, 'Freedom_headrest');
+  const task = buildCatalog(materialsData, variantsData, freedomChairMapping, 'Freedom_task');
+
+  assert.deepEqual(Object.keys(headrest.materials.lift), ['Standard', 'Tall', 'High']);
+  assert.deepEqual(Object.keys(task.materials.lift), ['Standard', 'Low']);
+  assert.equal(task.defaults.lift, 'Low');
+  assert.equal(headrest.defaults.lift, 'Standard');
+  assert.deepEqual(Object.keys(task.materials['black metal']), ['Task Metal']);
+  assert.ok(!Object.values(headrest.materials['black metal']).some(entry => entry.name === 'Task_metal'));
+  assert.equal(variantsData.variantsByProduct.get('Freedom_task').get('Lift_heights').surcharges.Low, 20);
+});
+
+test('detectSceneSelections reads variants from the configuration state and materials from the objects', () => {
+  const { variantsData, mapping } = createCatalog();
+  const objects = [
+    { id: 'metal-1', name: 'black_metal', material: { name: 'Graphite Metal' } },
+    { id: 'metal-2', name: 'base', materials: [{ name: 'graphite_metal' }] },
+    { id: 'plastic-1', name: 'glides', material: { name: 'black_plastic' } },
+  ];
+  const configState = [{ variant: 'Lift_heights', active_object: 'Tall' }];
+
+  const detected = detectSceneSelections(mapping, variantsData, buildObjectIndex(objects), configState);
+
+  // base is ambiguous: all three base options use black_plastic
+  assert.deepEqual(Object.fromEntries(detected), { 'black metal': 'Graphite Metal', lift: 'Tall' });
+});
+
+test('applySelectionBatch sends all variant changes in one configuration update', async () => {
+  const { session, modelApi } = createTestSession({ configurationState: variantState });
+  session.selections.set('lift', 'Tall');
+  session.selections.set('fabric_armrest', 'Without Armrest');
+  const events = [];
+  session.emitter.on('change', event => events.push(event));
+
+  await applySelectionBatch(session, new Map([['lift', 'Standard'], ['fabric_armrest', 'With Armrest']]), 'reset');
+
+  const updates = modelApi.calls.filter(call => call.method === 'setConfigurationState');
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].args[0], [
+    { variant: 'Lift_heights', active_object: 'Standard' },
+    { variant: 'Armrest_on_off', active_object: 'armrest on' },
+  ]);
+  assert.deepEqual(Object.fromEntries(session.selections), { lift: 'Standard', fabric_armrest: 'With Armrest' });
+  assert.equal(events.length, 1);
+});
+
+test('applySelectionBatch puts back the materials it applied when a later import fails', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession({
+    objects: sceneObjects,
+    imports: {
+      'vanir_kvadrat.vctr3': { name: 'vanir_kvadrat', materials: [{ name: 'vanir113' }] },
+      'corde4_humanscale.vctr3': { name: 'corde4_humanscale', materials: [{ name: 'Corde4_black' }] },
+      'black_metal.vctr3': { name: 'Black_metal', materials: [{ name: 'Black_metal' }] },
+    },
+  });
+  await scheduleSelection(session, 'fabric_seat', 'Vanir (kvadrat) - 113', 'user');
+  await scheduleSelection(session, 'black metal', 'Black Metal', 'user');
+  const importFiles = modelApi.importFiles.bind(modelApi);
+  modelApi.importFiles = async (file, mode) => {
+    if (file.name === 'chrome_glossy.vctr3') throw new Error('Import failed');
+    return importFiles(file, mode);
+  };
+
+  const target = new Map([
+    ['fabric_seat', 'Corde4 (Humanscale) - Black'],
+    ['black metal', 'Chrome Glossy'],
+  ]);
+  await assert.rejects(applySelectionBatch(session, target, 'saved'), MaterialImportError);
+
+  assert.deepEqual(Object.fromEntries(session.selections), { fabric_seat: 'Vanir (kvadrat) - 113', 'black metal': 'Black Metal' });
+  ['seat-1', 'back-1', 'head-1'].forEach(id => assert.equal(modelApi.findObject(id).material.name, 'vanir113'));
+  assert.equal(modelApi.findObject('metal-1').material.name, 'Black_metal');
+});
+
+test('undo and redo step through changes and restore the previous active_object', async () => {
+  const { session, modelApi } = createTestSession({ configurationState: variantState });
+  session.selections.set('lift', 'Standard');
+  session.selections.set('fabric_armrest', 'With Armrest');
+
+  await scheduleSelection(session, 'lift', 'Tall', 'user');
+  await scheduleSelection(session, 'fabric_armrest', 'Without Armrest', 'api');
+  assert.deepEqual(session.undoStack[0], [{ application: 'lift', option: 'Tall', previous: 'Standard' }]);
+
+  assert.equal(await moveThroughUndoHistory(session, 'undo'), true);
+  assert.equal(session.selections.get('fabric_armrest'), 'With Armrest');
+  assert.equal(modelApi.configurationState[1].active_object, 'armrest on');
+  await moveThroughUndoHistory(session, 'undo');
+  assert.equal(session.selections.get('lift'), 'Standard');
+  assert.equal(await moveThroughUndoHistory(session, 'undo'), false);
+
+  await moveThroughUndoHistory(session, 'redo');
+  assert.equal(modelApi.configurationState[0].active_object, 'Tall');
+  assert.equal(session.redoStack.length, 1);
+
+  // A new change forgets what could be redone
+  await scheduleSelection(session, 'fabric_armrest', 'Without Armrest', 'user');
+  assert.equal(session.redoStack.length, 0);
+  assert.equal(session.undoStack.length, 2);
+});
+
+// Provide window.VctrModelApi the way a page would
+function stubWindowApi(t, Api) {
+  global.window = { VctrModelApi: Api };
+  t.after(() => {
+    delete global.window;
+  });
+}
+
+test('going back to a shorter history entry restores the options it does not name to their defaults', async t => {
+  const { session, modelApi } = createTestSession({ configurationState: variantState });
+  session.selections.set('lift', 'Standard');
+  session.selections.set('fabric_armrest', 'With Armrest');
+  const initial = { vectarySelections: true, product: 'Freedom_headrest', selections: Array.from(session.selections) };
+  await scheduleSelection(session, 'lift', 'Tall', 'user');
+  await scheduleSelection(session, 'fabric_armrest', 'Without Armrest', 'user');
+
+  global.window = { location: { hash: '#lift=Tall' } };
+  t.after(() => {
+    delete global.window;
+  });
+  await restoreHistoryEntry(session, null);
+  assert.deepEqual(Object.fromEntries(session.selections), { lift: 'Tall', fabric_armrest: 'With Armrest' });
+  assert.deepEqual(
+    modelApi.configurationState.map(entry => entry.active_object),
+    ['Tall', 'armrest on']
+  );
+
+  // The first entry's recorded state wins over its (empty) hash
+  window.location.hash = '';
+  await restoreHistoryEntry(session, initial);
+  assert.deepEqual(Object.fromEntries(session.selections), { lift: 'Standard', fabric_armrest: 'With Armrest' });
+  assert.deepEqual(
+    modelApi.configurationState.map(entry => entry.active_object),
+    ['Standard', 'armrest on']
+  );
+  // Moving through history is not an undo step
+  assert.equal(session.undoStack.length, 2);
+});
+
+test('initVectaryApi retries failed and hanging attempts, then gives up with an ApiConnectError', async t => {
+  let attempts = 0;
+  stubWindowApi(
+    t,
+    class extends MockVctrModelApi {
+      init() {
+        attempts++;
+        if (attempts === 1) return Promise.reject(new Error('Iframe not ready'));
+        if (attempts === 2) return new Promise(() => {});
+        return super.init();
+      }
+    }
+  );
+  const api = { timeout: 20, retries: 2, backoff: 1 };
+
+  const modelApi = await initVectaryApi('iframe', { api });
+  assert.equal(attempts, 3);
+  assert.equal(modelApi.initialized, true);
+
+  attempts = 0;
+  await assert.rejects(initVectaryApi('iframe', { api: Object.assign({}, api, { retries: 1 }) }), err => {
+    assert.ok(err instanceof ApiConnectError);
+    assert.equal(err.context.attempts, 2);
+    assert.equal(err.retryable, true);
+    return true;
+  });
+});
+
+test('initVectaryApi removes a script that failed to load and moves on to the fallback URL', async t => {
+  const scripts = [];
+  global.window = {};
+  global.document = {
+    createElement() {
+      const listeners = {};
+      return {
+        addEventListener: (type, listener) => (listeners[type] = listener),
+        remove() {
+          this.removed = true;
+        },
+        fail: () => listeners.error(),
+      };
+    },
+    head: {
+      appendChild(script) {
+        scripts.push(script);
+        setImmediate(() => {
+          if (script.textContent.includes('cdn.example')) {
+            script.fail();
+          } else {
+            global.window[/window\.(\w+)/.exec(script.textContent)[1]]({ VctrModelApi: MockVctrModelApi });
+          }
+        });
+      },
+    },
+  };
+  t.after(() => {
+    delete global.window;
+    delete global.document;
+  });
+
+  const modelApi = await initVectaryApi('iframe', {
+    api: { scriptUrl: 'https://cdn.example/api.js', fallbackUrls: ['/vendor/api.js'], retries: 2, backoff: 1 },
+  });
+
+  assert.ok(modelApi instanceof MockVctrModelApi);
+  assert.deepEqual(
+    scripts.map(script => [script.type, script.textContent.split('\n')[0], script.removed]),
+    [
+      ['module', 'import * as mod from "https://cdn.example/api.js";', true],
+      ['module', 'import * as mod from "/vendor/api.js";', true],
+    ]
+  );
+  assert.deepEqual(Object.keys(global.window), []);
+});
+
+test('initVectaryApi drops an attempt that connects after it timed out', async t => {
+  const instances = [];
+  let finishFirstInit = null;
+  stubWindowApi(
+    t,
+    class extends MockVctrModelApi {
+      constructor(iframeId) {
+        super(iframeId);
+        this.disposed = false;
+        instances.push(this);
+      }
+      init() {
+        if (instances.length === 1) {
+          return new Promise(resolve => {
+            finishFirstInit = resolve;
+          });
+        }
+        return super.init();
+      }
+      dispose() {
+        this.disposed = true;
+      }
+    }
+  );
+
+  const modelApi = await initVectaryApi('iframe', { api: { timeout: 20, retries: 1, backoff: 1 } });
+  assert.equal(modelApi, instances[1]);
+
+  finishFirstInit();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(instances.length, 2);
+  assert.equal(instances[0].disposed, true);
+  assert.equal(instances[1].disposed, false);
+});
+
+test('without the 3D view selections still change and the scene catches up on reconnect', async t => {
+  const { session } = createTestSession({ configurationState: variantState });
+  session.modelApi = null;
+  session.selections.set('lift', 'Standard');
+
+  await scheduleSelection(session, 'lift', 'Tall', 'user');
+  assert.equal(session.selections.get('lift'), 'Tall');
+
+  const configurationState = [
+    { variant: 'Lift_heights', active_object: 'Standard' },
+    { variant: 'Armrest_on_off', active_object: 'armrest on' },
+  ];
+  let modelApi = null;
+  stubWindowApi(
+    t,
+    class extends MockVctrModelApi {
+      constructor(iframeId) {
+        super(iframeId, { configurationState });
+        modelApi = this;
+      }
+    }
+  );
+  const connections = [];
+  session.emitter.on('connection', event => connections.push(event));
+
+  assert.equal(await reconnectScene(session), true);
+  assert.equal(session.modelApi, modelApi);
+  assert.equal(modelApi.configurationState[0].active_object, 'Tall');
+  assert.deepEqual(Object.fromEntries(session.selections), { lift: 'Tall', fabric_armrest: 'With Armrest' });
+  assert.deepEqual(connections, [{ connected: true }]);
+  // Catching up is not a step of its own
+  assert.equal(session.undoStack.length, 1);
+});
+
+const baseSceneObjects = [
+  { id: 'plastic-1', name: 'plastic_general' },
+  { id: 'glides-1', name: 'glides' },
+  { id: 'wheels-1', name: 'plastic_wheels' },
+];
+
+const baseScene = {
+  objects: baseSceneObjects,
+  configurationState: [{ variant: 'Base_types', active_object: 'wheels' }],
+  imports: { 'black_plastic.vctr3': { name: 'black_plastic', materials: [{ name: 'black_plastic' }] } },
+};
+
+test('base options switch their geometry variant and apply the material in one step', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession(baseScene);
+
+  await scheduleSelection(session, 'base', 'Glides (Soft/Carpet Floors)', 'user');
+
+  assert.deepEqual(modelApi.configurationState, [{ variant: 'Base_types', active_object: 'glides' }]);
+  const methods = modelApi.calls
+    .map(call => call.method)
+    .filter(method => ['importFiles', 'setConfigurationState', 'addOrEditMaterial'].includes(method));
+  assert.deepEqual(methods.slice(0, 2), ['importFiles', 'setConfigurationState']);
+  assert.ok(methods.slice(2).every(method => method === 'addOrEditMaterial'));
+  assert.equal(methods.length, 2 + baseSceneObjects.length);
+  assert.equal(session.selections.get('base'), 'Glides (Soft/Carpet Floors)');
+
+  const payload = buildQuotePayload(session);
+  const base = payload.options.find(item => item.application === 'base');
+  assert.deepEqual(base.variants, [{ variant: 'Base_types', active_object: 'glides' }]);
+  assert.equal(base.material.name, 'black_plastic');
+});
+
+test('a base option whose material fails to import leaves the geometry unchanged', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession(baseScene);
+  modelApi.importFiles = async () => {
+    throw new Error('Import failed');
+  };
+
+  await assert.rejects(scheduleSelection(session, 'base', 'Glides (Soft/Carpet Floors)', 'user'), /Import failed/);
+
+  assert.equal(modelApi.calls.filter(call => call.method === 'setConfigurationState').length, 0);
+  assert.deepEqual(modelApi.configurationState, [{ variant: 'Base_types', active_object: 'wheels' }]);
+  assert.equal(session.selections.has('base'), false);
+});
+
+test('detectSceneSelections tells base options with the same material apart by their variant', () => {
+  const { mapping, variantsData } = createCatalog();
+  const objects = baseSceneObjects.map(obj => Object.assign({ material: { name: 'black_plastic' } }, obj));
+
+  const detected = detectSceneSelections(mapping, variantsData, buildObjectIndex(objects), [
+    { variant: 'Base_types', active_object: 'locking castors' },
+  ]);
+
+  assert.equal(detected.get('base'), 'Locking Castors');
+  assert.deepEqual(mapping.materials.base['Locking Castors'].variants, { Base_types: 'locking castors' });
+});
+
+const fabricScene = {
+  objects: sceneObjects,
+  imports: {
+    'vanir_kvadrat.vctr3': { name: 'vanir_kvadrat', materials: [{ name: 'vanir113' }] },
+    'corde4_humanscale.vctr3': { name: 'corde4_humanscale', materials: [{ name: 'Corde4_black' }] },
+  },
+};
+
+test('a split part takes its own fabric while the other parts keep the application option', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession(fabricScene);
+  await scheduleSelection(session, 'fabric_seat', 'Vanir (kvadrat) - 113', 'user');
+  modelApi.calls = [];
+
+  await scheduleSelection(session, 'fabric_seat/fabric_headrest', 'Corde4 (Humanscale) - Black', 'user');
+
+  const applied = modelApi.calls.filter(call => call.method === 'addOrEditMaterial');
+  assert.deepEqual(
+    applied.map(call => [call.args[0], call.args[1].name]),
+    [['head-1', 'Corde4_black']]
+  );
+  assert.equal(modelApi.calls.filter(call => call.method === 'toggleVisibility' && call.args[1] === false).length, 0);
+  assert.equal(session.partMaterialObjects.get('fabric_seat/fabric_seat').name, 'vanir_kvadrat');
+  assert.equal(session.partMaterialObjects.get('fabric_seat/fabric_headrest').name, 'corde4_humanscale');
+  assert.deepEqual(
+    session.activeMaterialObjects.get('fabric_seat').map(obj => obj.name),
+    ['vanir_kvadrat', 'corde4_humanscale']
+  );
+  assert.ok(session.splitApplications.has('fabric_seat'));
+
+  const price = calculatePrice(
+    session.mapping,
+    session.materialsData,
+    session.variantsData,
+    session.productName,
+    session.selections,
+    {}
+  );
+  assert.equal(price.items.find(item => item.application === 'fabric_seat').amount, 120);
+
+  const fabric = buildQuotePayload(session).options.find(item => item.application === 'fabric_seat');
+  assert.deepEqual(
+    fabric.parts.map(part => [part.part, part.material.name]),
+    [
+      ['fabric_seat', 'vanir_kvadrat'],
+      ['fabric_backrest', 'vanir_kvadrat'],
+      ['fabric_headrest', 'corde4_humanscale'],
+      ['fabric_armrest', 'vanir_kvadrat'],
+    ]
+  );
+});
+
+test('applySelectionBatch without part selections links the parts to the application option again', async t => {
+  stubFetch(t);
+  const { session, modelApi } = createTestSession(fabricScene);
+  await scheduleSelection(session, 'fabric_seat', 'Vanir (kvadrat) - 113', 'user');
+  await scheduleSelection(session, 'fabric_seat/fabric_headrest', 'Corde4 (Humanscale) - Black', 'user');
+  const corde4 = session.partMaterialObjects.get('fabric_seat/fabric_headrest');
+  modelApi.calls = [];
+
+  await applySelectionBatch(session, new Map([['fabric_seat', 'Vanir (kvadrat) - 113']]), 'link');
+
+  const applied = modelApi.calls.filter(call => call.method === 'addOrEditMaterial');
+  assert.deepEqual(
+    applied.map(call => [call.args[0], call.args[1].name]),
+    [['head-1', 'vanir113']]
+  );
+  assert.ok(modelApi.calls.some(call => call.method === 'toggleVisibility' && call.args[0].includes(corde4.id) && call.args[1] === false));
+  assert.deepEqual(Object.fromEntries(session.selections), { fabric_seat: 'Vanir (kvadrat) - 113' });
+  assert.equal(session.splitApplications.size, 0);
+  assert.deepEqual(session.activeMaterialObjects.get('fabric_seat').map(obj => obj.name), ['vanir_kvadrat']);
+});
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+test('saved configurations persist, round-trip through JSON and replace records by name', () => {
+  const storage = createMemoryStorage();
+  const { session } = createTestSession({ config: { storage } });
+
+  session.selections.set('lift', 'Tall');
+  const first = saveConfiguration(session, ' Client A ');
+  session.selections.set('lift', 'High');
+  const again = saveConfiguration(session, 'Client A');
+
+  assert.equal(again.id, first.id);
+  assert.equal(session.savedConfigurations.length, 1);
+  assert.deepEqual(JSON.parse(storage.getItem('vectary-configurations:Freedom_headrest'))[0].selections, { lift: 'High' });
+  assert.throws(() => saveConfiguration(session, '  '), error => error instanceof InputError && /enter a name/.test(error.message));
+
+  const other = createTestSession({ config: { storage: createMemoryStorage() } }).session;
+  const exported = JSON.parse(exportSavedConfigurations(session));
+  exported.configurations.push({ id: 'x', name: 'Unknown options', selections: { lift: 'Giant', base: 'Glides (Soft/Carpet Floors)' } });
+  exported.configurations.push({ id: 'y', name: 'Other product', product: 'Other', selections: { lift: 'Tall' } });
+
+  assert.equal(importSavedConfigurations(other, JSON.stringify(exported)), 2);
+  assert.deepEqual(
+    other.savedConfigurations.map(record => [record.name, record.selections]),
+    [
+      ['Client A', { lift: 'High' }],
+      ['Unknown options', { base: 'Glides (Soft/Carpet Floors)' }],
+    ]
+  );
+  assert.throws(() => importSavedConfigurations(other, '{nope'), error => error instanceof InputError && error.cause instanceof SyntaxError);
+  assert.throws(() => importSavedConfigurations(other, '{"configurations": 3}'), /does not contain saved configurations/);
+});
+
+test('compareConfigurations lines up options per application and flags differences', () => {
+  const { session } = createTestSession({ config: { storage: createMemoryStorage() } });
+
+  session.selections.set('lift', 'Tall');
+  session.selections.set('fabric_armrest', 'With Armrest');
+  const a = saveConfiguration(session, 'A');
+  session.selections.set('lift', 'Standard');
+  const b = saveConfiguration(session, 'B');
+
+  const comparison = compareConfigurations(session, [a.id, b.id]);
+
+  assert.deepEqual(
+    comparison.configurations.map(entry => [entry.name, entry.total]),
+    [
+      ['A', 1290 + 45 + 180],
+      ['B', 1290 + 180],
+    ]
+  );
+  const rows = Object.fromEntries(comparison.rows.map(row => [row.application, [row.options, row.differs]]));
+  assert.deepEqual(rows.lift, [['Tall', 'Standard'], true]);
+  assert.deepEqual(rows.fabric_armrest, [['With Armrest', 'With Armrest'], false]);
+  assert.deepEqual(rows.base, [[null, null], false]);
+  assert.throws(() => compareConfigurations(session, [a.id]), error => error instanceof InputError && /two or three/.test(error.message));
+
+  // Saved choices are priced with the options the rules require for them
+  session.selections = new Map([['base', 'Locking Castors']]);
+  const castors = saveConfiguration(session, 'Castors');
+  const withRules = compareConfigurations(session, [a.id, castors.id]);
+  assert.deepEqual(withRules.configurations.map(entry => entry.total), [1290 + 45 + 180, 1290 + 180]);
+  assert.deepEqual(withRules.rows.find(row => row.application === 'fabric_armrest').options, ['With Armrest', 'With Armrest']);
+  assert.throws(() => compareConfigurations(session, [a.id, 'cfg-gone']), error => error instanceof InputError && error.context.id === 'cfg-gone');
+});
+
+test('buildCatalog attaches swatch metadata from the materials CSV', () => {
+  const rows = [
+    {
+      name: 'corde4_humanscale',
+      type: 'fabric',
+      color_options: 'Corde4_navy, Corde4_azure',
+      applications: 'fabric_seat',
+      products: 'Freedom_headrest',
+      swatch_colors: '#1f2a44, #3d7ab8',
+      swatch_image: './swatches/{color}.jpg',
+    },
+    { name: 'vanir_kvadrat', type: 'fabric', color_options: 'vanir443', applications: 'fabric_seat', products: 'Freedom_headrest' },
+  ];
+  const variantsData = indexVariantsRows(readCsv('Vectary_Products_Variants.csv'));
+  const mapping = buildCatalog(indexMaterialsRows(rows), variantsData, freedomChairMapping, 'Freedom_headrest');
+
+  assert.deepEqual(mapping.materials.fabric_seat['Corde4 (Humanscale) - Azure'].swatch, {
+    color: '#3d7ab8',
+    image: './swatches/Corde4_azure.jpg',
+  });
+  assert.equal(mapping.materials.fabric_seat['Vanir (kvadrat) - 443'].swatch, undefined);
+});
+
+test('resolveLocale prefers exact codes, then the base language, then English', () => {
+  const bundles = { de: {}, 'fr-CA': {} };
+  assert.equal(resolveLocale(bundles, [null, 'de-AT', 'fr']), 'de');
+  assert.equal(resolveLocale(bundles, ['FR-ca']), 'fr-CA');
+  assert.equal(resolveLocale(bundles, ['it', 'es-ES']), 'en');
+  assert.equal(resolveLocale(undefined, ['de']), 'en');
+});
+
+test('createTranslator falls back to English for missing keys, titles and options', () => {
+  const i18n = createTranslator(
+    {
+      de: { messages: { 'price.total': 'Gesamt' }, applications: { lift: 'Sitzhöhe' }, options: { lift: { Tall: 'Hoch' } } },
+    },
+    'de'
+  );
+  assert.equal(i18n.t('price.total'), 'Gesamt');
+  assert.equal(i18n.t('saved.saved', { name: 'Client A' }), 'Saved "Client A".');
+  assert.equal(i18n.application('lift', 'Lift Height'), 'Sitzhöhe');
+  assert.equal(i18n.application('base', 'Base Options'), 'Base Options');
+  assert.equal(i18n.option('lift', 'Tall'), 'Hoch');
+  assert.equal(i18n.option('lift', 'High'), 'High');
+  assert.equal(i18n.rule({ id: 'x', message: 'English reason' }), 'English reason');
+});
+
+test('locale bundles only reference applications, parts, options and rules of the catalog', () => {
+  const { mapping } = createCatalog();
+  Object.entries(freedomChairLocales).forEach(([locale, bundle]) => {
+    Object.keys(bundle.applications || {}).forEach(applicationName => {
+      assert.ok(mapping.materials[applicationName], `${locale}: unknown application ${applicationName}`);
+    });
+    Object.entries(bundle.parts || {}).forEach(([applicationName, parts]) => {
+      Object.keys(parts).forEach(partName => {
+        assert.ok((mapping.parts[applicationName] || {})[partName], `${locale}: unknown part ${applicationName} / ${partName}`);
+      });
+    });
+    Object.entries(bundle.options || {}).forEach(([applicationName, options]) => {
+      Object.keys(options).forEach(optionLabel => {
+        assert.ok(mapping.materials[applicationName][optionLabel], `${locale}: unknown option ${applicationName} / ${optionLabel}`);
+      });
+    });
+    Object.keys(bundle.rules || {}).forEach(ruleId => {
+      assert.ok(mapping.rules.some(rule => rule.id === ruleId), `${locale}: unknown rule ${ruleId}`);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Snapshot export: captures the 3D view from one or more cameras and composes a captioned PNG
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-snapshot', ['vectary-utils', 'vectary-catalog', 'vectary-pricing'], function (utils, catalog, pricing) {
+  'use strict';
+
+  const { wait } = utils;
+  const { getSplitParts, getPartOption, getPartTitle, findSplitApplications } = catalog;
+  const { formatPrice, getSessionQuote } = pricing;
+
+  // ============================================================================
+  // SNAPSHOT EXPORT
+  // ============================================================================
+
+  /**
+   * Caption lines for a snapshot: product, each selected option (per part when split) and the total price
+   */
+  function buildSnapshotCaption(session) {
+    const { mapping, selections, i18n } = session;
+    const lines = [i18n.product(session.productName)];
+    const split = findSplitApplications(mapping, selections);
+    Object.keys(mapping.applications || {}).forEach(title => {
+      const applicationName = mapping.applications[title];
+      const optionLabel = selections.get(applicationName);
+      if (!optionLabel) return;
+      if (!split.has(applicationName)) {
+        lines.push(`${i18n.application(applicationName, title)}: ${i18n.option(applicationName, optionLabel)}`);
+        return;
+      }
+      getSplitParts(mapping, applicationName).forEach(partName => {
+        const partOption = getPartOption(selections, applicationName, partName);
+        const partTitle = getPartTitle(i18n, applicationName, partName, title, mapping.parts[applicationName][partName]);
+        lines.push(`${partTitle}: ${i18n.option(applicationName, partOption)}`);
+      });
+    });
+    const quote = getSessionQuote(session);
+    if (quote) {
+      lines.push(`${i18n.t('price.total')}: ${formatPrice(quote.total, quote.currency, (session.config.pricing || {}).locale)}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Capture the current view, optionally switching to a named camera first
+   * Returns an image URL (the API may return a data URL or bare base64)
+   */
+  async function captureView(modelApi, cameraName, settleMs) {
+    if (typeof modelApi.takeScreenshot !== 'function') {
+      throw new Error('The Vectary API does not support screenshots.');
+    }
+    if (cameraName) {
+      if (typeof modelApi.switchViewToCamera !== 'function') {
+        throw new Error('The Vectary API does not support switching cameras.');
+      }
+      await modelApi.switchViewToCamera(cameraName);
+      await wait(settleMs);
+    }
+    const shot = await modelApi.takeScreenshot();
+    return typeof shot === 'string' && !shot.startsWith('data:') && !shot.includes('://') ? `data:image/png;base64,${shot}` : shot;
+  }
+
+  /**
+   * Capture one view per camera (null: the current view), then switch to restoreCamera when given
+   * Returns the image URLs in camera order
+   */
+  async function captureViews(modelApi, cameras, settleMs, restoreCamera) {
+    const captured = [];
+    for (const cameraName of cameras) {
+      captured.push(await captureView(modelApi, cameraName, settleMs));
+    }
+    if (restoreCamera && cameras[0]) {
+      await modelApi.switchViewToCamera(restoreCamera);
+    }
+    return captured;
+  }
+
+  /**
+   * Load an image URL into an <img> element
+   * Requested with CORS so a screenshot URL (instead of a data URI) does not taint the snapshot canvas
+   */
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Failed to load captured image.'));
+      img.src = src;
+    });
+  }
+
+  /**
+   * Draw the captured views side by side with the caption underneath and encode as PNG
+   */
+  async function composeSnapshot(images, captionLines) {
+    const lineHeight = 22;
+    const padding = 16;
+    const viewWidth = Math.max(...images.map(img => img.naturalWidth || img.width));
+    const viewHeight = Math.max(...images.map(img => img.naturalHeight || img.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = viewWidth * images.length;
+    canvas.height = viewHeight + padding * 2 + lineHeight * captionLines.length;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    images.forEach((img, idx) => ctx.drawImage(img, idx * viewWidth, 0, viewWidth, viewHeight));
+
+    ctx.fillStyle = '#333333';
+    ctx.textBaseline = 'top';
+    captionLines.forEach((line, idx) => {
+      ctx.font = idx === 0 ? '600 16px sans-serif' : '14px sans-serif';
+      ctx.fillText(line, padding, viewHeight + padding + idx * lineHeight);
+    });
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error('Failed to encode snapshot as PNG.');
+    }
+    return { blob, dataUrl: canvas.toDataURL('image/png') };
+  }
+
+  return {
+    buildSnapshotCaption,
+    captureView,
+    captureViews,
+    loadImage,
+    composeSnapshot,
+  };
+});
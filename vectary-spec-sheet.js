@@ -0,0 +1,167 @@
+/**
+ * Spec sheet and bill of materials of a configuration (CSV / JSON download, printable HTML)
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-spec-sheet', ['vectary-utils', 'vectary-pricing'], function (utils, pricing) {
+  'use strict';
+
+  const { escapeHtml } = utils;
+  const { formatPrice } = pricing;
+
+  // ============================================================================
+  // SPEC SHEET / BILL OF MATERIALS
+  // ============================================================================
+  //
+  // The bill of materials lists every part (object of mapping.objectNames) of the material applications
+  // with the option it shows and that option's material from Vectary_Materials.csv, plus the variant
+  // choices (lift height, armrest, base geometry). It downloads as CSV or JSON; the spec sheet is a
+  // print-optimized HTML page of the same data with a product image.
+
+  const BOM_CSV_COLUMNS = ['section', 'application', 'part', 'option', 'material', 'color', 'type', 'variant', 'active_object'];
+
+  /**
+   * Bill of materials from the quote payload of the current selections (see buildQuotePayload)
+   * Returns { product, parts: [{ application, title, part, option, material }],
+   *           variants: [{ application, title, option, variant, active_object }], missing, price, shareUrl, createdAt }
+   */
+  function buildBillOfMaterials(mapping, payload) {
+    const parts = [];
+    const variants = [];
+
+    payload.options.forEach(item => {
+      const { application, title, option } = item;
+      if (item.material) {
+        (mapping.objectNames[application] || []).forEach(partName => {
+          const split = (item.parts || []).find(part => part.part === partName);
+          parts.push({
+            application,
+            title,
+            part: partName,
+            option: split ? split.option : option,
+            material: Object.assign({}, split ? split.material : item.material),
+          });
+        });
+      }
+      (item.variants || []).forEach(entry => {
+        variants.push({ application, title, option, variant: entry.variant, active_object: entry.active_object });
+      });
+    });
+
+    return {
+      product: payload.product,
+      parts,
+      variants,
+      missing: payload.missing,
+      price: payload.price,
+      shareUrl: payload.shareUrl,
+      createdAt: payload.createdAt,
+    };
+  }
+
+  /**
+   * Quote a CSV field when it contains a separator, quote or line break
+   */
+  function toCsvField(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Bill of materials as CSV: one row per part, then one per variant choice (see BOM_CSV_COLUMNS)
+   */
+  function toBomCsv(bom) {
+    const rows = [BOM_CSV_COLUMNS];
+    bom.parts.forEach(line => {
+      rows.push(['part', line.application, line.part, line.option, line.material.name, line.material.color, line.material.type, '', '']);
+    });
+    bom.variants.forEach(line => {
+      rows.push(['variant', line.application, '', line.option, '', '', '', line.variant, line.active_object]);
+    });
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Print-optimized HTML document of a bill of materials (labels translated, image optional)
+   */
+  function renderSpecSheetHtml(session, bom, imageUrl) {
+    const { mapping, i18n } = session;
+    const pricing = session.config.pricing || {};
+    const productTitle = i18n.product(bom.product);
+    const table = (headings, rows) =>
+      `<table><thead><tr>${headings.map(heading => `<th>${escapeHtml(i18n.t(heading))}</th>`).join('')}</tr></thead>` +
+      `<tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+    const partRows = bom.parts.map(line => [
+      i18n.application(line.application, line.title),
+      i18n.part(line.application, line.part, ((mapping.parts || {})[line.application] || {})[line.part] || line.part),
+      i18n.option(line.application, line.option),
+      line.material.name,
+      line.material.color,
+      line.material.type,
+    ]);
+    const variantRows = bom.variants.map(line => [
+      i18n.application(line.application, line.title),
+      i18n.option(line.application, line.option),
+      line.variant,
+      line.active_object,
+    ]);
+
+    const body = [
+      `<header><h1>${escapeHtml(productTitle)}</h1>`,
+      `<p class="meta">${escapeHtml(i18n.t('spec.title'))} · ${escapeHtml(new Date(bom.createdAt).toLocaleString(i18n.locale))}</p></header>`,
+      imageUrl ? `<img class="product-image" src="${escapeHtml(imageUrl)}" alt="${escapeHtml(productTitle)}">` : '',
+      `<h2>${escapeHtml(i18n.t('spec.materials'))}</h2>`,
+      table(['spec.group', 'spec.part', 'spec.option', 'spec.material', 'spec.color', 'spec.type'], partRows),
+      variantRows.length ? `<h2>${escapeHtml(i18n.t('spec.variants'))}</h2>` : '',
+      variantRows.length ? table(['spec.group', 'spec.option', 'spec.variant', 'spec.value'], variantRows) : '',
+      bom.missing.length
+        ? `<p class="missing">${escapeHtml(
+            i18n.t('spec.missing', {
+              applications: bom.missing.map(title => i18n.application(mapping.applications[title], title)).join(', '),
+            })
+          )}</p>`
+        : '',
+      bom.price
+        ? `<p class="total">${escapeHtml(i18n.t('price.total'))}: ${escapeHtml(formatPrice(bom.price.total, bom.price.currency, pricing.locale))}</p>`
+        : '',
+      bom.shareUrl ? `<p class="link">${escapeHtml(i18n.t('spec.link'))}: ${escapeHtml(bom.shareUrl)}</p>` : '',
+    ].join('\n');
+
+    const style = [
+      '@page { size: A4; margin: 15mm; }',
+      'body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; color: #222; font-size: 12px; margin: 24px; }',
+      'h1 { font-size: 22px; margin: 0 0 4px; } h2 { font-size: 14px; margin: 20px 0 6px; text-transform: uppercase; }',
+      '.meta { color: #666; margin: 0 0 16px; }',
+      '.product-image { display: block; max-width: 100%; max-height: 320px; margin: 0 auto 12px; }',
+      'table { width: 100%; border-collapse: collapse; }',
+      'th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; vertical-align: top; }',
+      'th { background: #f3f3f3; } tr { page-break-inside: avoid; }',
+      '.total { font-size: 14px; font-weight: 600; margin-top: 16px; } .missing { color: #b71c1c; } .link { color: #666; word-break: break-all; }',
+      '@media print { body { margin: 0; } th { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }',
+    ].join('\n');
+
+    return (
+      `<!DOCTYPE html>\n<html lang="${escapeHtml(i18n.locale)}">\n<head>\n<meta charset="UTF-8">\n` +
+      `<title>${escapeHtml(productTitle)} – ${escapeHtml(i18n.t('spec.title'))}</title>\n<style>\n${style}\n</style>\n</head>\n` +
+      `<body>\n${body}\n</body>\n</html>\n`
+    );
+  }
+
+  /**
+   * Write a spec sheet into an opened window and start printing it
+   */
+  function printSpecSheet(printWindow, html) {
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    // Give the image a moment to decode before the print dialog freezes the page
+    setTimeout(() => printWindow.print(), 250);
+  }
+
+  return {
+    buildBillOfMaterials,
+    toBomCsv,
+    renderSpecSheetHtml,
+    printSpecSheet,
+  };
+});
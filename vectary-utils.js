@@ -0,0 +1,323 @@
+/**
+ * Shared helpers of the Vectary configurator modules: logging, timing, events, text and the typed errors
+ * Every other vectary-*.js file builds on it.
+ */
+(typeof VectaryModules !== 'undefined' ? VectaryModules : require('./vectary-modules.js')).defineModule(this, 'vectary-utils', [], function () {
+  'use strict';
+
+  // ============================================================================
+  // UTILITY FUNCTIONS
+  // ============================================================================
+
+  /**
+   * Debug logging utility (only logs when debug flag is set)
+   */
+  function debugLog(config, ...args) {
+    if (config && config.debug) {
+      // eslint-disable-next-line no-console
+      console.log('[VectarySimple]', ...args);
+    }
+  }
+
+  /**
+   * Resolve after ms milliseconds
+   */
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Settle like promise, or reject with message once ms have passed (no limit when ms is not positive)
+   */
+  function withTimeout(promise, ms, message) {
+    if (!(ms > 0)) return promise;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Minimal event emitter; listener errors are logged and never break the emitter
+   */
+  function createEmitter() {
+    const listeners = new Map();
+    return {
+      on(event, handler) {
+        const list = listeners.get(event) || [];
+        list.push(handler);
+        listeners.set(event, list);
+        return () => this.off(event, handler);
+      },
+      off(event, handler) {
+        const list = listeners.get(event) || [];
+        listeners.set(
+          event,
+          list.filter(fn => fn !== handler)
+        );
+      },
+      emit(event, payload) {
+        (listeners.get(event) || []).slice().forEach(handler => {
+          try {
+            handler(payload);
+          } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error(`Error in configurator "${event}" listener`, err);
+          }
+        });
+      },
+      clear() {
+        listeners.clear();
+      },
+    };
+  }
+
+  /**
+   * Normalize string for comparison (lowercase, remove spaces/underscores)
+   */
+  function normalizeString(str) {
+    return (str || '').toString().toLowerCase().replace(/[_\s]/g, '');
+  }
+
+  /**
+   * Get object ID from various possible properties
+   */
+  function getObjectId(obj) {
+    return obj && (obj.id || obj.uuid || obj.objectId || obj.instanceId);
+  }
+
+  /**
+   * Normalize a rule value (single option or list) into an array
+   */
+  function toOptionList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Escape text for use in HTML markup
+   */
+  function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(
+      /[&<>"']/g,
+      ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]
+    );
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   */
+  function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  // ============================================================================
+  // ERRORS
+  // ============================================================================
+  //
+  // Failures the customer may see are typed: each carries a code, its context for support
+  // (application, option, fileUrl, ...) and whether trying again can help. They reach the
+  // "error" event and config.reporter(error, details), or the console without a reporter; the UI
+  // shows the error.<code> message, or the already translated message of an InputError.
+
+  /**
+   * Base class of configurator failures
+   * options: { cause, retryable }
+   */
+  class ConfiguratorError extends Error {
+    constructor(message, context, options) {
+      super(message);
+      this.name = 'ConfiguratorError';
+      this.code = 'unknown';
+      this.context = Object.assign({}, context);
+      this.retryable = !!(options && options.retryable);
+      if (options && options.cause) {
+        this.cause = options.cause;
+      }
+    }
+  }
+
+  /**
+   * A catalog CSV could not be downloaded (context: url, label, status)
+   */
+  class CsvLoadError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, Object.assign({ retryable: true }, options));
+      this.name = 'CsvLoadError';
+      this.code = 'csvLoad';
+    }
+  }
+
+  /**
+   * A 3D material file could not be downloaded (context: fileUrl, status)
+   */
+  class FileFetchError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, Object.assign({ retryable: true }, options));
+      this.name = 'FileFetchError';
+      this.code = 'fileFetch';
+    }
+  }
+
+  /**
+   * A downloaded 3D file could not be imported into the scene (context: fileUrl, material)
+   */
+  class MaterialImportError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, Object.assign({ retryable: true }, options));
+      this.name = 'MaterialImportError';
+      this.code = 'import';
+    }
+  }
+
+  /**
+   * No material of an imported file could be trusted for an option (context: fileUrl, material, color, report)
+   */
+  class MaterialMatchError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, options);
+      this.name = 'MaterialMatchError';
+      this.code = 'materialMatch';
+    }
+  }
+
+  /**
+   * The scene rejected a material or configuration change
+   */
+  class ApplyError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, Object.assign({ retryable: true }, options));
+      this.name = 'ApplyError';
+      this.code = 'apply';
+    }
+  }
+
+  /**
+   * The Vectary API could not be loaded or did not answer in time (context: urls, attempts)
+   */
+  class ApiConnectError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, Object.assign({ retryable: true }, options));
+      this.name = 'ApiConnectError';
+      this.code = 'apiConnect';
+    }
+  }
+
+  /**
+   * An option has no valid variant value in the mapping or the variants CSV (context: variant, value)
+   */
+  class VariantNotFoundError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, options);
+      this.name = 'VariantNotFoundError';
+      this.code = 'variantNotFound';
+    }
+  }
+
+  /**
+   * The customer's input cannot be used: a missing choice or name, an unknown or unreadable saved configuration
+   * The message is the translated explanation shown to the customer
+   */
+  class InputError extends ConfiguratorError {
+    constructor(message, context, options) {
+      super(message, context, options);
+      this.name = 'InputError';
+      this.code = 'input';
+    }
+  }
+
+  /**
+   * A selection breaks the compatibility rules (context: application, option, reasons or violations)
+   */
+  class RuleViolationError extends InputError {
+    constructor(message, context, options) {
+      super(message, context, options);
+      this.name = 'RuleViolationError';
+      this.code = 'ruleViolation';
+    }
+  }
+
+  /**
+   * Type an unexpected failure; typed errors are kept and only gain the missing context
+   */
+  function toConfiguratorError(err, ErrorClass, context) {
+    if (err instanceof ConfiguratorError) {
+      Object.entries(context || {}).forEach(([key, value]) => {
+        if (err.context[key] === undefined) err.context[key] = value;
+      });
+      return err;
+    }
+    return new ErrorClass((err && err.message) || String(err), context, { cause: err });
+  }
+
+  /**
+   * Send an error to the "error" event and config.reporter, or to the console when no reporter is configured
+   * details (stage, application, option) are merged over the error's own context
+   */
+  function reportError(session, err, details) {
+    const info = Object.assign(
+      { code: (err && err.code) || 'unknown', product: session.productName, locale: session.i18n.locale },
+      err && err.context,
+      details
+    );
+    session.emitter.emit('error', Object.assign({ error: err }, details));
+    if (typeof session.config.reporter !== 'function') {
+      // eslint-disable-next-line no-console
+      console.error('[VectarySimple]', info.stage || info.code, err);
+      return;
+    }
+    try {
+      session.config.reporter(err, info);
+    } catch (reporterErr) {
+      // eslint-disable-next-line no-console
+      console.warn('[VectarySimple] Error reporter failed', reporterErr);
+    }
+  }
+
+  /**
+   * Customer-facing message for an error: error.<code> for typed errors, the message itself otherwise
+   * (input errors, rule violations among them, carry messages that are already translated)
+   */
+  function describeError(err, i18n) {
+    if (!(err instanceof ConfiguratorError) || err instanceof InputError) {
+      return (err && err.message) || i18n.t('error.unknown');
+    }
+    const { application, option } = err.context;
+    return i18n.t(`error.${err.code}`, {
+      option: option ? i18n.option(application, option) : '',
+      application: application ? i18n.application(application) : '',
+    });
+  }
+
+  return {
+    debugLog,
+    wait,
+    withTimeout,
+    createEmitter,
+    normalizeString,
+    getObjectId,
+    toOptionList,
+    escapeHtml,
+    downloadBlob,
+    ConfiguratorError,
+    CsvLoadError,
+    FileFetchError,
+    MaterialImportError,
+    MaterialMatchError,
+    ApplyError,
+    ApiConnectError,
+    VariantNotFoundError,
+    InputError,
+    RuleViolationError,
+    toConfiguratorError,
+    reportError,
+    describeError,
+  };
+});